@@ -251,6 +251,22 @@ module.exports = {
       name: 'rpl_summoning',
       type: 'reply'
    },
+   346: {
+      name: 'rpl_invitelist',
+      type: 'reply'
+   },
+   347: {
+      name: 'rpl_endofinvitelist',
+      type: 'reply'
+   },
+   348: {
+      name: 'rpl_exceptlist',
+      type: 'reply'
+   },
+   349: {
+      name: 'rpl_endofexceptlist',
+      type: 'reply'
+   },
    351: {
       name: 'rpl_version',
       type: 'reply'
@@ -335,6 +351,10 @@ module.exports = {
       name: 'rpl_nousers',
       type: 'reply'
    },
+   396: {
+      name: 'rpl_hosthidden',
+      type: 'reply'
+   },
    401: {
       name: 'err_nosuchnick',
       type: 'error'
@@ -415,6 +435,14 @@ module.exports = {
       name: 'err_nickcollision',
       type: 'error'
    },
+   437: {
+      name: 'err_unavailresource',
+      type: 'error'
+   },
+   439: {
+      name: 'err_targettoofast',
+      type: 'error'
+   },
    441: {
       name: 'err_usernotinchannel',
       type: 'error'
@@ -487,6 +515,14 @@ module.exports = {
       name: 'err_badchannelkey',
       type: 'error'
    },
+   477: {
+      name: 'err_needreggednick',
+      type: 'error'
+   },
+   480: {
+      name: 'err_throttle',
+      type: 'error'
+   },
    481: {
       name: 'err_noprivileges',
       type: 'error'
@@ -510,5 +546,69 @@ module.exports = {
    502: {
       name: 'err_usersdontmatch',
       type: 'error'
+   },
+   728: {
+      name: 'rpl_quietlist',
+      type: 'reply'
+   },
+   729: {
+      name: 'rpl_endofquietlist',
+      type: 'reply'
+   },
+   730: {
+      name: 'rpl_mononline',
+      type: 'reply'
+   },
+   731: {
+      name: 'rpl_monoffline',
+      type: 'reply'
+   },
+   732: {
+      name: 'rpl_monlist',
+      type: 'reply'
+   },
+   733: {
+      name: 'rpl_endofmonlist',
+      type: 'reply'
+   },
+   734: {
+      name: 'err_monlistfull',
+      type: 'error'
+   },
+   900: {
+      name: 'rpl_loggedin',
+      type: 'reply'
+   },
+   901: {
+      name: 'rpl_loggedout',
+      type: 'reply'
+   },
+   902: {
+      name: 'err_nicklocked',
+      type: 'error'
+   },
+   903: {
+      name: 'rpl_saslsuccess',
+      type: 'reply'
+   },
+   904: {
+      name: 'err_saslfail',
+      type: 'error'
+   },
+   905: {
+      name: 'err_sasltoolong',
+      type: 'error'
+   },
+   906: {
+      name: 'err_saslaborted',
+      type: 'error'
+   },
+   907: {
+      name: 'err_saslalready',
+      type: 'error'
+   },
+   908: {
+      name: 'rpl_saslmechs',
+      type: 'reply'
    }
 };
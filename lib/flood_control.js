@@ -0,0 +1,192 @@
+var _ = require('lodash');
+
+/*
+ * Token bucket rate limiter for outgoing commands.
+ *
+ * The bucket holds up to `burst` tokens and gains one every `interval` ms.
+ * Sending a command takes as many tokens as it costs (1 unless `costs` says
+ * otherwise); commands costing nothing, like PONG, skip the queue. Queued
+ * commands wait in priority lanes, so registration and PONGs go ahead of
+ * queued messages. The lines of a batch are held until it ends and then
+ * queued together in the lane of the commands it wraps, and once a batch
+ * has started only commands costing nothing are sent before it ends.
+ */
+
+var defaultCosts = {
+    PONG: 0,
+    QUIT: 0,
+    WHO: 2,
+    WHOIS: 2,
+    NAMES: 2,
+    LIST: 3
+};
+
+// 0 goes first, 1 for anything not listed
+var lanes = {
+    PING: 0,
+    CAP: 0,
+    AUTHENTICATE: 0,
+    PASS: 0,
+    NICK: 0,
+    USER: 0,
+    PRIVMSG: 2,
+    NOTICE: 2,
+    TAGMSG: 2
+};
+
+function FloodControl(send, options) {
+    this._send = send;
+    this.interval = options.interval;
+    this.burst = options.burst || 1;
+    this.costs = _.extend({}, defaultCosts, options.costs);
+    this.tokens = this.burst;
+    this._lastRefill = _.now();
+    this._lanes = [[], [], []];
+    this._batches = {};
+    this._batchLane = null;
+    this._timer = null;
+}
+
+// Command name of send() arguments, which may start with a tags object
+function commandOf(args) {
+    return String(typeof args[0] == 'object' ? args[1] : args[0]).toUpperCase();
+}
+
+// Tags of send() arguments
+function tagsOf(args) {
+    return (typeof args[0] == 'object') ? args[0] : {};
+}
+
+// The +ref or -ref of a BATCH command
+function batchParam(args) {
+    return String((typeof args[0] == 'object') ? args[2] : args[1]);
+}
+
+function laneOf(args) {
+    var lane = lanes[commandOf(args)];
+    return (lane === undefined) ? 1 : lane;
+}
+
+FloodControl.prototype._cost = function(args) {
+    var cost = this.costs[commandOf(args)];
+    return (cost === undefined) ? 1 : cost;
+};
+
+FloodControl.prototype.push = function(args) {
+    if (this._holdForBatch(args))
+        return;
+    if (this._cost(args) === 0) {
+        this._send(args);
+        return;
+    }
+    this._lanes[laneOf(args)].push(args);
+    this._drain();
+};
+
+// Holds the lines of a batch until it ends, then queues them all at once.
+// Returns whether args was taken care of.
+FloodControl.prototype._holdForBatch = function(args) {
+    var isBatch = (commandOf(args) == 'BATCH');
+    var ref = tagsOf(args).batch;
+    if (isBatch) {
+        var param = batchParam(args);
+        ref = param.slice(1);
+        if (param[0] == '+') {
+            this._batches[ref] = [args];
+            return true;
+        }
+    }
+    var batch = this._batches[ref];
+    if (!batch)
+        return false;
+    batch.push(args);
+    if (!isBatch)
+        return true;
+
+    delete this._batches[ref];
+    var wrapped = batch.slice(1, -1);
+    var lane = wrapped.length ? _.max(_.map(wrapped, laneOf)) : laneOf(args);
+    this._lanes[lane] = this._lanes[lane].concat(batch);
+    this._drain();
+    return true;
+};
+
+FloodControl.prototype._refill = function() {
+    var now = _.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this._lastRefill) / this.interval);
+    this._lastRefill = now;
+};
+
+// Once a batch has started nothing else goes until it ends
+FloodControl.prototype._nextLane = function() {
+    var open = this._lanes[this._batchLane];
+    return (open && open.length) ? open : _.find(this._lanes, 'length');
+};
+
+FloodControl.prototype._drain = function() {
+    var self = this;
+    if (self._timer)
+        return;
+    self._refill();
+    var lane;
+    while ((lane = self._nextLane())) {
+        // commands costing more than a full bucket go once it is full
+        var cost = self._cost(lane[0]);
+        if (self.tokens < Math.min(cost, self.burst))
+            break;
+        self.tokens -= cost;
+        var args = lane.shift();
+        if (commandOf(args) == 'BATCH')
+            self._batchLane = (batchParam(args)[0] == '+') ? self._lanes.indexOf(lane) : null;
+        self._send(args);
+    }
+    if (!lane)
+        return;
+    var wait = (Math.min(self._cost(lane[0]), self.burst) - self.tokens) * self.interval;
+    self._timer = setTimeout(function() {
+        self._timer = null;
+        self._drain();
+    }, Math.ceil(wait));
+};
+
+// Number of queued commands, only counting those matching filter if given
+FloodControl.prototype.length = function(filter) {
+    return _.sum(this._lanes, function(lane) {
+        return filter ? _.filter(lane, filter).length : lane.length;
+    });
+};
+
+// Drop the queued commands matching filter, returning how many there were
+FloodControl.prototype.remove = function(filter) {
+    var removed = 0;
+    this._lanes = _.map(this._lanes, function(lane) {
+        var kept = _.reject(lane, filter);
+        removed += lane.length - kept.length;
+        return dropEmptyBatches(kept);
+    });
+    return removed;
+};
+
+// Batches not started yet with none of their lines left needn't be sent
+function dropEmptyBatches(lane) {
+    var empty = _.filter(_.map(lane, function(args) {
+        return (commandOf(args) == 'BATCH' && batchParam(args)[0] == '+') ? batchParam(args).slice(1) : null;
+    }), function(ref) {
+        return ref !== null && !_.some(lane, function(args) {
+            return tagsOf(args).batch === ref;
+        });
+    });
+    return _.reject(lane, function(args) {
+        return commandOf(args) == 'BATCH' && _.contains(empty, batchParam(args).slice(1));
+    });
+}
+
+FloodControl.prototype.clear = function() {
+    this._lanes = [[], [], []];
+    this._batches = {};
+    this._batchLane = null;
+    clearTimeout(this._timer);
+    this._timer = null;
+};
+
+exports.FloodControl = FloodControl;
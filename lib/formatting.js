@@ -0,0 +1,89 @@
+var _ = require('lodash');
+
+/*
+ * Helpers for splitting messages without breaking characters or formatting.
+ *
+ * Text is cut into units that must stay whole: formatting codes (including
+ * the digits of a colour code) and graphemes, so that a surrogate pair, an
+ * accent or an emoji sequence never ends up split across two lines.
+ */
+
+var formattingCodes = /\x03(?:\d{1,2}(?:,\d{1,2})?)?|\x04(?:[0-9A-Fa-f]{6}(?:,[0-9A-Fa-f]{6})?)?|[\x02\x0f\x11\x16\x1d\x1e\x1f]/g;
+
+// Approximates grapheme clusters where Intl.Segmenter isn't available:
+// flags, and characters followed by combining marks, variation selectors,
+// skin tones, tag characters or zero width joiner sequences
+var graphemeClusters = new RegExp(
+    '(?:\\ud83c[\\udde6-\\uddff]){2}|' +
+    '(?:[\\ud800-\\udbff][\\udc00-\\udfff]|[\\s\\S])' +
+    '(?:[\\u0300-\\u036f\\u1ab0-\\u1aff\\u1dc0-\\u1dff\\u20d0-\\u20ff\\ufe20-\\ufe2f\\ufe00-\\ufe0f]|' +
+    '\\ud83c[\\udffb-\\udfff]|\\udb40[\\udc20-\\udc7f]|' +
+    '\\u200d(?:[\\ud800-\\udbff][\\udc00-\\udfff]|[\\s\\S]))*',
+    'g');
+
+var segmenter = (typeof Intl == 'object' && Intl.Segmenter) ? new Intl.Segmenter() : null;
+
+function graphemes(text) {
+    if (!text)
+        return [];
+    // lodash can't iterate the Segments object, only ES2015 iteration can
+    if (segmenter)
+        return Array.from(segmenter.segment(text), function(s) { return s.segment; });
+    return text.match(graphemeClusters);
+}
+
+function units(text) {
+    var result = [], last = 0, match;
+    formattingCodes.lastIndex = 0;
+    while ((match = formattingCodes.exec(text))) {
+        result = result.concat(graphemes(text.slice(last, match.index)), [match[0]]);
+        last = formattingCodes.lastIndex;
+    }
+    return result.concat(graphemes(text.slice(last)));
+}
+exports.units = units;
+
+function isFormatting(unit) {
+    return /^[\x02-\x04\x0f\x11\x16\x1d-\x1f]/.test(unit);
+}
+exports.isFormatting = isFormatting;
+
+// The formatting in effect at some point of a line
+function State() {
+    this.toggles = {};
+    this.color = null;
+    this.hexColor = null;
+}
+
+State.prototype.apply = function(unit) {
+    var code = unit[0], colors;
+    if (code == '\x0f') {
+        State.call(this);
+    }
+    else if (code == '\x03' || code == '\x04') {
+        var key = (code == '\x03') ? 'color' : 'hexColor';
+        colors = unit.slice(1).split(',');
+        if (!colors[0])
+            this[key] = null;
+        else
+            // a foreground without a background keeps the current background
+            this[key] = {fg: colors[0], bg: colors[1] || (this[key] && this[key].bg)};
+    }
+    else if (/^[\x02\x11\x16\x1d\x1e\x1f]$/.test(unit)) {
+        this.toggles[code] = !this.toggles[code];
+    }
+};
+
+// Codes that bring a fresh line to this state
+State.prototype.codes = function() {
+    var codes = _.filter(_.keys(this.toggles).sort(), function(code) {
+        return this.toggles[code];
+    }, this).join('');
+    if (this.color)
+        // two digits, so that digits starting the text aren't read as part of the colour
+        codes += '\x03' + ('0' + this.color.fg).slice(-2) + (this.color.bg ? ',' + ('0' + this.color.bg).slice(-2) : '');
+    if (this.hexColor)
+        codes += '\x04' + this.hexColor.fg + (this.hexColor.bg ? ',' + this.hexColor.bg : '');
+    return codes;
+};
+exports.State = State;
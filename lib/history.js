@@ -0,0 +1,172 @@
+var _ = require('lodash');
+
+/*
+ * Client side of the IRCv3 chathistory extension (draft/chathistory).
+ *
+ * Each query sends a CHATHISTORY command and returns a promise. The server
+ * answers with a batch of the requested lines, which the client collects
+ * without handling them as live messages; the promise resolves with the
+ * PRIVMSGs and NOTICEs in it (see Client.prototype._chatMessage), oldest
+ * first. Replies come in the order of the queries, so the oldest pending
+ * query for the batch's target is the one being answered. Batches answering
+ * no query, like history some servers replay on JOIN, are left to be handled
+ * as live messages.
+ */
+
+function History(client) {
+    this.client = client;
+    this._pending = [];
+}
+
+// Message references are a msgid or a Date
+function reference(ref) {
+    if (ref instanceof Date)
+        return 'timestamp=' + ref.toISOString();
+    if (ref === undefined || ref === null)
+        return '*';
+    return 'msgid=' + ref;
+}
+
+History.prototype.latest = function(target, limit) {
+    return this._query('LATEST', target, ['*'], limit);
+};
+
+History.prototype.before = function(target, ref, limit) {
+    return this._query('BEFORE', target, [reference(ref)], limit);
+};
+
+History.prototype.after = function(target, ref, limit) {
+    return this._query('AFTER', target, [reference(ref)], limit);
+};
+
+History.prototype.between = function(target, start, end, limit) {
+    return this._query('BETWEEN', target, [reference(start), reference(end)], limit);
+};
+
+// Resolves with the targets (channels and nicks) that have history between
+// the two Dates, as [{target, time}] where time is the latest message
+History.prototype.targets = function(start, end, limit) {
+    return this._query('TARGETS', null, [reference(start), reference(end)], limit);
+};
+
+History.prototype.isSupported = function() {
+    return _.contains(this.client.capabilities, 'draft/chathistory') ||
+           _.contains(this.client.capabilities, 'chathistory');
+};
+
+History.prototype._query = function(subcommand, target, refs, limit) {
+    var self = this;
+    return new Promise(function(resolve, reject) {
+        if (!self.isSupported()) {
+            reject(new Error('Server does not support chathistory'));
+            return;
+        }
+
+        // ISUPPORT CHATHISTORY is the most messages the server returns, 0 for no limit
+        var max = self.client.isupportNumber('CHATHISTORY', 0);
+        limit = limit || max || 100;
+        if (max)
+            limit = Math.min(limit, max);
+
+        var request = {
+            subcommand: subcommand,
+            target:     target,
+            resolve:    resolve,
+            reject:     reject
+        };
+        request.timer = setTimeout(function() {
+            self._finish(request, new Error('CHATHISTORY ' + subcommand + ' timed out'));
+        }, self.client.opt.requestTimeout);
+        if (request.timer.unref)
+            request.timer.unref();
+        self._pending.push(request);
+
+        var args = ['CHATHISTORY', subcommand];
+        if (target)
+            args.push(target);
+        self.client.send.apply(self.client, args.concat(refs, [String(limit)]));
+    });
+};
+
+History.prototype._finish = function(request, err, result) {
+    var index = this._pending.indexOf(request);
+    if (index == -1)
+        return;
+    this._pending.splice(index, 1);
+    clearTimeout(request.timer);
+    if (err)
+        request.reject(err);
+    else
+        request.resolve(result);
+};
+
+// The oldest pending query for target, or for TARGETS if target is null,
+// not yet being answered
+History.prototype._find = function(target) {
+    return _.find(this._pending, function(request) {
+        if (request.batch)
+            return false;
+        if (target === null)
+            return request.subcommand == 'TARGETS';
+        return request.target !== null && this.client.nickEquals(request.target, target);
+    }, this);
+};
+
+// Called when a chathistory batch starts: if it answers a query, the query
+// is returned and the batch's lines are collected for it
+History.prototype._claim = function(batch) {
+    var request = this._find((batch.type == 'draft/chathistory-targets') ? null : batch.params[0]);
+    if (request)
+        request.batch = batch;
+    return request;
+};
+
+History.prototype._handleBatch = function(batch) {
+    var request = batch.request, result;
+    if (!request)
+        return;
+    if (batch.type == 'draft/chathistory-targets') {
+        result = _.chain(batch.messages)
+                    .filter(function(message) {
+                        return message.command == 'CHATHISTORY' && message.args[0] == 'TARGETS';
+                    })
+                    .map(function(message) {
+                        return {target: message.args[1], time: new Date(message.args[2])};
+                    })
+                    .value();
+    }
+    else {
+        // only this batch's own lines, not those of nested batches
+        result = _.chain(batch.messages)
+                    .filter(function(message) {
+                        return message.batch === batch &&
+                               (message.command == 'PRIVMSG' || message.command == 'NOTICE');
+                    })
+                    .map(function(message) {
+                        var chat = this.client._chatMessage(message);
+                        chat.message = message;
+                        return chat;
+                    }, this)
+                    .value();
+    }
+    this._finish(request, null, result);
+};
+
+// FAIL CHATHISTORY <code> <subcommand> [<context>...] :<description>
+History.prototype._handleFail = function(message) {
+    var target = (message.args[2] == 'TARGETS') ? null : message.args[3];
+    var request = this._find(target) || _.find(this._pending, {subcommand: message.args[2]});
+    if (!request)
+        return;
+    var err = new Error(message.args[message.args.length - 1]);
+    err.code = message.args[1];
+    this._finish(request, err);
+};
+
+History.prototype._stop = function() {
+    _.each(_.clone(this._pending), function(request) {
+        this._finish(request, new Error('Disconnected'));
+    }, this);
+};
+
+exports.History = History;
@@ -24,13 +24,112 @@ var util = require('util');
 var EventEmitter = require('events').EventEmitter;
 var _    = require('lodash');
 var callerId = require('caller-id');
+var ircColors = require('irc-colors');
 
 var colors = require('./colors');
 var parseMessage = require('./parse_message');
+var sasl = require('./sasl');
+var Monitor = require('./monitor').Monitor;
+var History = require('./history').History;
+var formatting = require('./formatting');
+var FloodControl = require('./flood_control').FloodControl;
+var parseModeString = require('./parse_modes');
+var ModeBuilder = require('./mode_builder').ModeBuilder;
 exports.colors = colors;
+exports.parseModeString = parseModeString;
 
 var lineDelimiter = new RegExp('\r\n|\r|\n');
 
+function noop() {}
+
+// Fields of the WHOIS replies, by command
+var whoisReplies = {
+    rpl_away: function(args) {
+        return {away: args[2]};
+    },
+    rpl_whoisuser: function(args) {
+        return {user: args[2], host: args[3], realname: args[5]};
+    },
+    rpl_whoisidle: function(args) {
+        return {idle: args[2]};
+    },
+    rpl_whoischannels: function(args) {
+        return {channels: args[2].trim().split(/\s+/)};
+    },
+    rpl_whoisserver: function(args) {
+        return {server: args[2], serverinfo: args[3]};
+    },
+    rpl_whoisoperator: function(args) {
+        return {operator: args[2]};
+    },
+    330: function(args) {
+        return {account: args[2], accountinfo: args[3]};
+    }
+};
+
+// Errors meaning a PRIVMSG or NOTICE to args[1] was not delivered
+var undeliveredErrors = ['err_nosuchnick', 'err_nosuchchannel', 'err_cannotsendtochan', 'err_toomanytargets'];
+
+// Errors meaning a JOIN to args[1] failed, with the reason given in joinError events
+var joinErrorReasons = {
+    err_channelisfull:   'full',
+    err_inviteonlychan:  'inviteonly',
+    err_bannedfromchan:  'banned',
+    err_badchannelkey:   'badkey',
+    err_needreggednick:  'registeredonly',
+    err_toomanychannels: 'toomanychannels',
+    err_nosuchchannel:   'nosuchchannel',
+    err_unavailresource: 'unavailable',
+    err_throttle:        'throttled',
+    err_targettoofast:   'throttled'
+};
+// Those of them only ever sent in reply to a JOIN
+var channelJoinErrors = ['err_channelisfull', 'err_inviteonlychan', 'err_bannedfromchan', 'err_badchannelkey',
+                         'err_toomanychannels', 'err_throttle'];
+
+// Replies listing the entries of list modes, and those ending each list, by mode
+var listModeReplies = {
+    rpl_banlist:         'b',
+    rpl_exceptlist:      'e',
+    rpl_invitelist:      'I',
+    rpl_quietlist:       'q',
+    rpl_endofbanlist:    'b',
+    rpl_endofexceptlist: 'e',
+    rpl_endofinvitelist: 'I',
+    rpl_endofquietlist:  'q'
+};
+
+// An Error for an error numeric, with the numeric's name as its code
+function replyError(message) {
+    var err = new Error(message.args[message.args.length - 1]);
+    err.code = message.command;
+    err.ircMessage = message;
+    return err;
+}
+
+function channelListItem(message) {
+    return {
+        name: message.args[1],
+        users: message.args[2],
+        topic: message.args[3]
+    };
+}
+
+// ISUPPORT values escape some characters as \xHH
+function decodeIsupportValue(value) {
+    return value.replace(/\\x([0-9A-Fa-f]{2})/g, function(escape, hex) {
+        return String.fromCharCode(parseInt(hex, 16));
+    });
+}
+
+// [, ], \ and ~ are the uppercase versions of {, }, | and ^ in rfc1459
+var rfc1459Lower = {'[': '{', ']': '}', '\\': '|', '~': '^'};
+function foldRfc1459(str) {
+    return str.replace(/./g, function(c) {
+        return rfc1459Lower[c] || c.toLowerCase();
+    });
+}
+
 function Client(server, nick, opt) {
     var self = this;
     self.opt = {
@@ -53,8 +152,21 @@ function Client(server, nick, opt) {
         certExpired: false,
         floodProtection: false,
         floodProtectionDelay: 1000,
+        floodProtectionBurst: 1,
+        floodProtectionCosts: {},
         sasl: false,
+        saslUser: null,
+        saslPassword: null,
+        saslMechanisms: null,
+        saslRequired: false,
         capabilities: [],
+        isonInterval: 60000,
+        requestTimeout: 30000,
+        pingInterval: 0,
+        pingTimeout: 30000,
+        joinRetry: {},
+        userModes: '',
+        botMode: false,
         stripColors: false,
         channelPrefixes: '&#',
         messageSplit: 512,
@@ -74,7 +186,7 @@ function Client(server, nick, opt) {
             idlength: [],
             length: 200,
             limit: [],
-            modes: { a: '', b: '', c: '', d: ''},
+            modes: { a: 'beI', b: 'k', c: 'l', d: 'imnpst'},
             types: self.opt.channelPrefixes
         },
         kicklength: 0,
@@ -84,6 +196,7 @@ function Client(server, nick, opt) {
         nicklength: 9,
         topiclength: 0,
         usermodes: '',
+        casemapping: 'rfc1459',
         whox: false,
         capabilities: {}
     };
@@ -102,6 +215,17 @@ function Client(server, nick, opt) {
     }
 
     self.hostMask = '';
+    self.capabilities = [];
+    // replies promised by _awaitReply()
+    self._awaiting = [];
+    // Raw ISUPPORT tokens, see isupportHas() and friends for typed access
+    self.isupport = {};
+    self.monitor = new Monitor(self);
+    self.history = new History(self);
+
+    // Channel user prefixes, RFC 1459 defaults until ISUPPORT PREFIX says otherwise
+    self.prefixForMode = {o: '@', v: '+'};
+    self.modeForPrefix = {'@': 'o', '+': 'v'};
 
     // TODO - fail if nick or server missing
     // TODO - fail if username has a space in it
@@ -117,6 +241,18 @@ function Client(server, nick, opt) {
             text,
             to;
 
+        // lines tagged with an open batch's reference belong to it and to
+        // the batches it is nested in
+        var batch = self._batches[message.tags.batch];
+        if (batch)
+            message.batch = batch;
+        for (; batch; batch = batch.parent)
+            batch.messages.push(message);
+        // replayed history is collected for its query, not handled as if it were
+        // live, and multiline messages are handled once they are complete
+        if (message.batch && message.command != 'BATCH' && self._inCollectedBatch(message.batch))
+            return;
+
         switch (message.command) {
             case 'rpl_welcome':
                 // Set nick to whatever the server decided it really is
@@ -129,21 +265,38 @@ function Client(server, nick, opt) {
                 // include it in messages and will truncate what we send if
                 // the string is too long. Therefore, we need to be considerate
                 // neighbors and truncate our messages accordingly.
+                // The last word of the welcome is usually nick!user@host, this
+                // is a guess until JOIN, WHO or WHOIS tell us for sure.
                 var welcomeStringWords = message.args[1].split(/\s+/);
-                self.hostMask = welcomeStringWords[welcomeStringWords.length - 1];
+                self.hostMask = welcomeStringWords[welcomeStringWords.length - 1].replace(/^[^!@]*!/, '');
                 self._updateMaxLineLength();
                 self.emit('registered', message);
                 break;
             case 'rpl_myinfo':
                 self.supported.usermodes = message.args[3];
                 break;
+            case 'rpl_umodeis':
+                self._updateUserModes(message.args[1], message, true);
+                break;
             case 'rpl_isupport':
-                message.args.forEach(function(arg) {
+                var added = {}, removed = [];
+                // the first argument is our nick and the last is "are supported by this server"
+                message.args.slice(1, -1).forEach(function(arg) {
                     var match;
-                    match = arg.match(/([A-Z]+)(?:=(.*))?/);
-                    if (match) {
-                        var param = match[1];
-                        var value = match[2];
+                    match = arg.match(/^(-)?([A-Z0-9]+)(?:=(.*))?$/);
+                    if (match && match[1]) {
+                        var negated = match[2];
+                        delete self.isupport[negated];
+                        removed.push(negated);
+                        if (negated == 'WHOX')
+                            self.supported.whox = false;
+                        else if (negated == 'CASEMAPPING')
+                            self.supported.casemapping = 'rfc1459';
+                    }
+                    else if (match) {
+                        var param = match[2];
+                        var value = decodeIsupportValue(match[3] || '');
+                        self.isupport[param] = added[param] = value;
                         switch (param) {
                             case 'CHANLIMIT':
                                 value.split(',').forEach(function(val) {
@@ -155,9 +308,12 @@ function Client(server, nick, opt) {
                                 value = value.split(',');
                                 var type = ['a', 'b', 'c', 'd'];
                                 for (var i = 0; i < type.length; i++) {
-                                    self.supported.channel.modes[type[i]] += value[i];
+                                    self.supported.channel.modes[type[i]] = value[i] || '';
                                 }
                                 break;
+                            case 'CASEMAPPING':
+                                self.supported.casemapping = value;
+                                break;
                             case 'CHANTYPES':
                                 self.supported.channel.types = value;
                                 break;
@@ -190,9 +346,10 @@ function Client(server, nick, opt) {
                                 if (match) {
                                     match[1] = match[1].split('');
                                     match[2] = match[2].split('');
+                                    self.modeForPrefix = {};
+                                    self.prefixForMode = {};
                                     while (match[1].length) {
                                         self.modeForPrefix[match[2][0]] = match[1][0];
-                                        self.supported.channel.modes.b += match[1][0];
                                         self.prefixForMode[match[1].shift()] = match[2].shift();
                                     }
                                 }
@@ -215,6 +372,7 @@ function Client(server, nick, opt) {
                         }
                     }
                 });
+                self.emit('isupport', added, removed, message);
                 break;
             case 'rpl_yourhost':
             case 'rpl_created':
@@ -241,49 +399,31 @@ function Client(server, nick, opt) {
                 self.emit('ping', message.args[0]);
                 break;
             case 'PONG':
+                self._gotPong(message.args[message.args.length - 1]);
                 self.emit('pong', message.args[0]);
                 break;
             case 'NOTICE':
-                from = message.nick;
-                to = message.args[0];
-                if (!to) {
-                    to = null;
-                }
-                text = message.args[1] || '';
-                if (text[0] === '\u0001' && text.lastIndexOf('\u0001') > 0) {
-                    self._handleCTCP(from, to, text, 'notice', message);
-                    break;
-                }
-                self.emit('notice', from, to, text, message);
-
-                if (self.opt.debug && to == self.nick)
-                    util.log('GOT NOTICE from ' + (from ? '"' + from + '"' : 'the server') + ': "' + text + '"');
+                self._handleChat(message);
                 break;
             case 'MODE':
                 if (self.opt.debug)
                     util.log('MODE: ' + message.args[0] + ' sets mode: ' + message.args[1]);
 
+                if (self.nickEquals(message.args[0], self.nick)) {
+                    self._updateUserModes(message.args[1], message);
+                    break;
+                }
                 var chan = self.chanData(message.args[0]);
                 if (!chan) break;
-                var modeList = message.args[1].split('');
-                var adding = true;
-                var modeArgs = message.args.slice(2);
-                modeList.forEach(function(mode) {
-                    if (mode == '+') {
-                        adding = true;
-                        return;
-                    }
-                    if (mode == '-') {
-                        adding = false;
-                        return;
-                    }
+                _.each(parseModeString(message.args[1], message.args.slice(2), self._modeTypes()), function(change) {
+                    var mode = change.mode, adding = change.adding;
                     if (mode in self.prefixForMode) {
                         // channel user modes
-                        var nick = modeArgs.shift();
-                        var user = chan.users[nick];
+                        var nick = change.param;
+                        var user = chan.users[self._findNick(chan.users, nick)];
                         if (!user) {
                             if (self.opt.debug)
-                                util.log('\u001b[01,31mWARNING: server set mode ' + (adding?'+':'-') + mode +
+                                util.log('\u001b[01,31mWARNING: server set mode ' + (adding ? '+' : '-') + mode +
                                             ' on non-existent nick ' + nick + ' in ' + message.args[0] + '\u001b[0m');
                             return;
                         }
@@ -295,39 +435,32 @@ function Client(server, nick, opt) {
                             if (!hasMode)
                                 user.modes.push(mode);
                         }
-                        else if (hasMode)
-                                user.modes = _.without(user.modes, mode);
+                        else if (hasMode) {
+                            user.modes = _.without(user.modes, mode);
+                        }
 
-                        self.emit((adding?'+':'-') + 'mode', message.args[0], message.nick, mode, user, message);
-                        if (self.nick == nick)
-                            self.emit((adding?'+':'-') + 'selfmode', message.args[0], message.nick, mode, user, message);
+                        // the nick comes last, after the arguments these events always had
+                        self.emit((adding ? '+' : '-') + 'mode', message.args[0], message.nick, mode, user, message, nick);
+                        if (self.nickEquals(self.nick, nick))
+                            self.emit((adding ? '+' : '-') + 'selfmode', message.args[0], message.nick, mode, user, message, nick);
+                    }
+                    else if (self._isListMode(mode)) {
+                        // bans and other lists of masks
+                        self._updateModeList(chan, mode, adding, change.param, message);
+                        self.emit((adding ? '+' : '-') + 'mode', message.args[0], message.nick, mode, change.param, message);
                     }
                     else {
-                        var modeArg;
-                        // channel modes
-                        if (mode.match(/^[bkl]$/)) {
-                            modeArg = modeArgs.shift();
-                            if (modeArg.length === 0)
-                                modeArg = undefined;
-                        }
-                        // TODO - deal nicely with channel modes that take args
-                        if (adding) {
-                            if (chan.mode.indexOf(mode) === -1)
-                                chan.mode += mode;
-
-                            self.emit('+mode', message.args[0], message.nick, mode, modeArg, message);
-                        }
-                        else {
-                            chan.mode = chan.mode.replace(mode, '');
-                            self.emit('-mode', message.args[0], message.nick, mode, modeArg, message);
-                        }
+                        // channel modes, those with parameters also go in modeParams
+                        var modeArg = change.param || undefined;
+                        self._applyChanMode(chan, mode, adding, modeArg);
+                        self.emit((adding ? '+' : '-') + 'mode', message.args[0], message.nick, mode, modeArg, message);
                     }
                 });
                 break;
             case 'NICK':
                 var newNick = message.args[0],
                     oldNick = message.nick;
-                if (oldNick == self.nick) {
+                if (self.nickEquals(oldNick, self.nick)) {
                     // the user just changed their own nick
                     self.nick = newNick;
                     self._updateMaxLineLength();
@@ -340,8 +473,10 @@ function Client(server, nick, opt) {
                 channels = [];
                 _.each(self.nickInChannels(oldNick), function(channel) {
                     var chan = self.chans[channel];
-                    chan.users[newNick] = chan.users[oldNick];
-                    delete chan.users[oldNick];
+                    var oldKey = self._findNick(chan.users, oldNick);
+                    var user = chan.users[oldKey];
+                    delete chan.users[oldKey];
+                    chan.users[newNick] = user;
                     channels.push(channel);
                     self.emit('nick' + channel, oldNick, newNick, message);
                 });
@@ -358,32 +493,57 @@ function Client(server, nick, opt) {
                 self.motd += message.args[1] + '\n';
                 self.emit('motd', self.motd);
                 break;
+            case 'rpl_mononline':
+                self.monitor._handleStatus(message.args[1], true, message);
+                break;
+            case 'rpl_monoffline':
+                self.monitor._handleStatus(message.args[1], false, message);
+                break;
+            case 'rpl_monlist':
+            case 'rpl_endofmonlist':
+                break;
+            case 'err_monlistfull':
+                // nick, limit, targets, text
+                self.monitor._handleListFull(message.args[2]);
+                self.emit('monitor-full', parseInt(message.args[1]), message.args[2].split(','), message);
+                break;
+            case 'rpl_ison':
+                self.monitor._handleIson(message.args[1] || '', message);
+                break;
+            case 'rpl_banlist':
+            case 'rpl_exceptlist':
+            case 'rpl_invitelist':
+            case 'rpl_quietlist':
+                self._addModeListEntry(message);
+                break;
+            case 'rpl_endofbanlist':
+            case 'rpl_endofexceptlist':
+            case 'rpl_endofinvitelist':
+            case 'rpl_endofquietlist':
+                self._endModeList(message);
+                break;
             case 'rpl_namreply':
-/*
-                channel = self.chanData(message.args[2]);
-                var users = message.args[3].trim().split(/ +/);
-                if (channel) {
-                    users.forEach(function(user) {
-                        var match = user.match(/^(.)(.*)$/);
-                        if (match) {
-                            if (match[1] in self.modeForPrefix) {
-                                channel.users[match[2]] = match[1];
-                            }
-                            else {
-                                channel.users[match[1] + match[2]] = '';
-                            }
-                        }
-                    });
-                }
-*/
+                // the list may span several replies, collect until rpl_endofnames
+                var namesKey = self.caseFold(message.args[2]);
+                var names = self._namesData[namesKey] = self._namesData[namesKey] || {};
+                _.each(_.compact(message.args[3].split(' ')), function(entry) {
+                    var user = self._parseNamesEntry(entry);
+                    names[user.nick] = user;
+                });
                 break;
             case 'rpl_endofnames':
-/*                channel = self.chanData(message.args[1]);
-                if (channel) {
-                    self.emit('names', message.args[1], channel.users);
-                    self.emit('names' + message.args[1], channel.users);
+                channel = message.args[1];
+                var namesData = self._namesData[self.caseFold(channel)] || {};
+                delete self._namesData[self.caseFold(channel)];
+                var nicks = _.mapValues(namesData, function(user) {
+                    return user.modes.join('');
+                });
+                self._addNamesDataToChan(channel, namesData);
+                self.emit('names', channel, nicks);
+                self.emit('names' + channel, nicks);
+                if (channel != self.caseFold(channel)) {
+                    self.emit('names' + self.caseFold(channel), nicks);
                 }
-*/
                 break;
             case 'rpl_topic':
                 channel = self.chanData(message.args[1]);
@@ -393,66 +553,83 @@ function Client(server, nick, opt) {
                 break;
             case 'rpl_away':
                 self._addWhoisData(message.args[1], 'away', message.args[2], true);
+                self._updateNickAway(message.args[1], message.args[2]);
                 break;
-            case 'rpl_whoisuser':
-                self._addWhoisData(message.args[1], 'user', message.args[2]);
-                self._addWhoisData(message.args[1], 'host', message.args[3]);
-                self._addWhoisData(message.args[1], 'realname', message.args[5]);
+            case 'rpl_unaway':
+                self.away = false;
+                self.awayMessage = null;
+                self._updateNickAway(self.nick);
+                self.emit('selfback', message);
                 break;
-            case 'rpl_whoisidle':
-                self._addWhoisData(message.args[1], 'idle', message.args[2]);
+            case 'rpl_nowaway':
+                self.away = true;
+                // the message is only known if setAway() marked us away
+                self.awayMessage = self._awayMessage || null;
+                self._awayMessage = null;
+                self._updateNickAway(self.nick, self.awayMessage || true);
+                self.emit('selfaway', self.awayMessage, message);
                 break;
-            case 'rpl_whoischannels':
-               // TODO - clean this up?
-                self._addWhoisData(message.args[1], 'channels', message.args[2].trim().split(/\s+/));
+            case 'AWAY':
+                // away-notify
+                channels = self._updateNickAway(message.nick, message.args[0]);
+                if (message.args[0])
+                    self.emit('away', message.nick, message.args[0], channels, message);
+                else
+                    self.emit('back', message.nick, channels, message);
                 break;
+            case 'rpl_whoisuser':
+            case 'rpl_whoisidle':
+            case 'rpl_whoischannels':
             case 'rpl_whoisserver':
-                self._addWhoisData(message.args[1], 'server', message.args[2]);
-                self._addWhoisData(message.args[1], 'serverinfo', message.args[3]);
-                break;
             case 'rpl_whoisoperator':
-                self._addWhoisData(message.args[1], 'operator', message.args[2]);
-                break;
             case '330': // rpl_whoisaccount?
-                self._addWhoisData(message.args[1], 'account', message.args[2]);
-                self._addWhoisData(message.args[1], 'accountinfo', message.args[3]);
+                if (message.command == 'rpl_whoisuser' && self.nickEquals(self.nick, message.args[1]))
+                    self._setHostMask(message.args[2], message.args[3]);
+                _.each(whoisReplies[message.command](message.args), function(value, key) {
+                    self._addWhoisData(message.args[1], key, value);
+                });
                 break;
             case 'rpl_endofwhois':
                 self.emit('whois', self._clearWhoisData(message.args[1]));
                 break;
             case 'rpl_whoreply':
             case '354':
-                self._addWhoData(message.args.slice(1));
+                if (message.command == 'rpl_whoreply' && self.nickEquals(self.nick, message.args[5]))
+                    self._setHostMask(message.args[2], message.args[3]);
+                // replies to labeled requests are handled by who() itself
+                if (!self._labeledRequest(message))
+                    self._addWhoData(message.args.slice(1));
                 break;
             case 'rpl_endofwho':
-                var whoData = self._clearWhoData(message.args[1]);
-                if (self.chanData(message.args[1])) {
-                    if (whoData[1] && whoData[1].length)
-                        self._addWhoDataToChan(whoData[0], whoData[1]);
-                    self.emit('who' + whoData[0], whoData[1]);
+                if (!self._labeledRequest(message)) {
+                    self._whoDone(message.args[1], self._clearWhoData());
                 }
-                self.emit('who', whoData[0], whoData[1]);
                 break;
             case 'rpl_liststart':
-                self.channellist = [];
-                self.emit('channellist_start');
+                if (!self._labeledRequest(message)) {
+                    self.channellist = [];
+                    self.emit('channellist_start');
+                }
                 break;
             case 'rpl_list':
-                channel = {
-                    name: message.args[1],
-                    users: message.args[2],
-                    topic: message.args[3]
-                };
-                self.emit('channellist_item', channel);
-                self.channellist.push(channel);
+                if (!self._labeledRequest(message)) {
+                    channel = channelListItem(message);
+                    self.emit('channellist_item', channel);
+                    self.channellist.push(channel);
+                }
                 break;
             case 'rpl_listend':
-                self.emit('channellist', self.channellist);
+                if (!self._labeledRequest(message))
+                    self.emit('channellist', self.channellist);
+                break;
+            case 'ACK':
+                // labeled-response reply to a command that has no other reply
                 break;
             case 'rpl_topicwhotime':
                 channel = self.chanData(message.args[1]);
                 if (channel) {
                     channel.topicBy = message.args[2];
+                    channel.topicTime = new Date(parseInt(message.args[3]) * 1000);
                     // channel, topic, nick
                     self.emit('topic', message.args[1], channel.topic, channel.topicBy, message);
                 }
@@ -465,12 +642,19 @@ function Client(server, nick, opt) {
                 if (channel) {
                     channel.topic = message.args[1];
                     channel.topicBy = message.nick;
+                    channel.topicTime = message.time;
                 }
                 break;
             case 'rpl_channelmodeis':
+                // <channel> <modes> [<params>...], all the channel's modes
                 channel = self.chanData(message.args[1]);
                 if (channel) {
-                    channel.mode = message.args[2];
+                    channel.mode = '';
+                    channel.modeParams = {};
+                    _.each(parseModeString(message.args[2], message.args.slice(3), self._modeTypes()), function(change) {
+                        if (!(change.mode in self.prefixForMode) && !self._isListMode(change.mode))
+                            self._applyChanMode(channel, change.mode, change.adding, change.param || undefined);
+                    });
                 }
                 break;
             case 'rpl_creationtime':
@@ -483,20 +667,24 @@ function Client(server, nick, opt) {
                 // channel, who
                 channel = message.args[0];
                 self._addJoinDataToChan(self.chanData(channel, true), message);
-                if (self.nick == message.nick) {
-                    self.syncChans[channel] = _.now();
+                if (self.nickEquals(self.nick, message.nick)) {
+                    if (message.user && message.host)
+                        self._setHostMask(message.user, message.host);
+                    delete self._pendingJoins[self.caseFold(channel)];
+                    delete self._joinOnInvite[self.caseFold(channel)];
+                    self.syncChans[self.caseFold(channel)] = _.now();
                     self.send('MODE', channel);
-                    self.who(channel, (self.supported.whox ? '%cuhnfa' : ''));
+                    self._sendWho(channel, (self.supported.whox ? '%cuhnfa' : ''));
                     self.emit('selfjoin', channel, message);
                     self.emit('selfjoin' + channel, message);
-                    if (channel != channel.toLowerCase()) {
-                        self.emit('selfjoin' + channel.toLowerCase(), message);
+                    if (channel != self.caseFold(channel)) {
+                        self.emit('selfjoin' + self.caseFold(channel), message);
                     }
                 }
                 self.emit('join', channel, message.nick, message);
                 self.emit('join' + channel, message.nick, message);
-                if (channel != channel.toLowerCase()) {
-                    self.emit('join' + channel.toLowerCase(), message.nick, message);
+                if (channel != self.caseFold(channel)) {
+                    self.emit('join' + self.caseFold(channel), message.nick, message);
                 }
                 break;
             case 'PART':
@@ -504,20 +692,20 @@ function Client(server, nick, opt) {
                 channel = message.args[0];
                 self.emit('part', channel, message.nick, message.args[1], message);
                 self.emit('part' + channel, message.nick, message.args[1], message);
-                if (channel != channel.toLowerCase()) {
-                    self.emit('part' + channel.toLowerCase(), message.nick, message.args[1], message);
+                if (channel != self.caseFold(channel)) {
+                    self.emit('part' + self.caseFold(channel), message.nick, message.args[1], message);
                 }
                 chan = self.chanData(channel);
-                if (self.nick == message.nick) {
+                if (self.nickEquals(self.nick, message.nick)) {
                     delete self.chans[chan.key];
                     self.emit('selfpart', channel, message.args[1], message);
                     self.emit('selfpart' + channel, message.args[1], message);
-                    if (channel != channel.toLowerCase()) {
-                        self.emit('selfpart' + channel.toLowerCase(), message.args[1], message);
+                    if (channel != self.caseFold(channel)) {
+                        self.emit('selfpart' + self.caseFold(channel), message.args[1], message);
                     }
                 }
                 else if (chan && chan.users)
-                    delete chan.users[message.nick];
+                    delete chan.users[self._findNick(chan.users, message.nick)];
                 break;
             case 'KICK':
                 // channel, who, by, reason
@@ -525,18 +713,18 @@ function Client(server, nick, opt) {
                 nick = message.args[1];
                 self.emit('kick', channel, nick, message.nick, message.args[2], message);
                 self.emit('kick' + channel, nick, message.nick, message.args[2], message);
-                if (channel != channel.toLowerCase()) {
-                    self.emit('kick' + channel.toLowerCase(),
+                if (channel != self.caseFold(channel)) {
+                    self.emit('kick' + self.caseFold(channel),
                               nick, message.nick, message.args[2], message);
                 }
 
-                if (self.nick == nick) {
+                if (self.nickEquals(self.nick, nick)) {
                     chan = self.chanData(channel);
                     delete self.chans[chan.key];
                     self.emit('selfkick', channel, message.nick, message.args[2], message);
                     self.emit('selfkick' + channel, message.nick, message.args[2], message);
-                    if (channel != channel.toLowerCase()) {
-                        self.emit('selfkick' + channel.toLowerCase(),
+                    if (channel != self.caseFold(channel)) {
+                        self.emit('selfkick' + self.caseFold(channel),
                                   message.nick, message.args[2], message);
                     }
                 }
@@ -553,43 +741,35 @@ function Client(server, nick, opt) {
                 self.emit('kill', nick, message.args[1], channels, message);
                 break;
             case 'PRIVMSG':
-                from = message.nick;
-                to = message.args[0];
-                text = message.args[1] || '';
-                if (text[0] === '\u0001' && text.lastIndexOf('\u0001') > 0) {
-                    self._handleCTCP(from, to, text, 'privmsg', message);
-                    break;
-                }
-                self.emit('message', from, to, text, message);
-                if (self.supported.channel.types.indexOf(to.charAt(0)) !== -1) {
-                    self.emit('message#', from, to, text, message);
-                    self.emit('message' + to, from, text, message);
-                    if (to != to.toLowerCase()) {
-                        self.emit('message' + to.toLowerCase(), from, text, message);
-                    }
-                }
-                if (to.toUpperCase() === self.nick.toUpperCase()) self.emit('pm', from, text, message);
-
-                if (self.opt.debug && to == self.nick)
-                    util.log('GOT MESSAGE from ' + from + ': ' + text);
+                self._handleChat(message);
+                break;
+            case 'TAGMSG':
+                // a message carrying only (usually client-only) tags, e.g. typing notifications
+                self.emit('tagmsg', message.nick, message.args[0], message.tags, message);
                 break;
             case 'INVITE':
                 from = message.nick;
                 to = message.args[0];
                 channel = message.args[1];
                 self.emit('invite', channel, from, message);
+                var invited = self._joinOnInvite[self.caseFold(channel)];
+                if (invited) {
+                    delete self._joinOnInvite[self.caseFold(channel)];
+                    self._sendJoin(invited.channel, invited);
+                }
                 break;
             case 'QUIT':
                 if (self.opt.debug)
                     util.log('QUIT: ' + message.prefix + ' ' + message.args.join(' '));
-                if (self.nick == message.nick) {
+                if (self.nickEquals(self.nick, message.nick)) {
                     // TODO handle?
                     break;
                 }
                 // handle other people quitting
 
                 channels = [];
-                var remove = (message.args[0] != 'Changing host') ? true : undefined;
+                // without chghost, servers fake a quit and rejoin for host changes
+                var remove = (message.args[0] != 'Changing host' || _.contains(self.capabilities, 'chghost')) ? true : undefined;
                 _.each(self.nickInChannels(message.nick, remove), function (channel) {
                     channels.push(channel);
                     self.emit('quit' + channel, message.nick, message.args[0], message);
@@ -603,84 +783,202 @@ function Client(server, nick, opt) {
                     self.emit('realquit', message.nick, message.args[0], channels, message);
                 break;
 
+            case 'BATCH':
+                var ref = message.args[0];
+                if (ref[0] == '+') {
+                    self._batches[ref.slice(1)] = {
+                        id:       ref.slice(1),
+                        type:     message.args[1],
+                        params:   message.args.slice(2),
+                        tags:     message.tags,
+                        messages: [],
+                        parent:   message.batch || null
+                    };
+                    batch = self._batches[ref.slice(1)];
+                    if (batch.type == 'chathistory' || batch.type == 'draft/chathistory-targets')
+                        batch.request = self.history._claim(batch);
+                }
+                else if (ref[0] == '-' && self._batches[ref.slice(1)]) {
+                    batch = self._batches[ref.slice(1)];
+                    delete self._batches[batch.id];
+                    self._endBatch(batch);
+                }
+                break;
+            case 'FAIL':
+                // FAIL <command> <code> [<context>...] :<description>
+                if (message.args[0] == 'CHATHISTORY')
+                    self.history._handleFail(message);
+                break;
+            case 'CHGHOST':
+                nick = message.nick;
+                channels = self._updateNickData(nick, {username: message.args[0], host: message.args[1]});
+                if (self.nickEquals(self.nick, nick))
+                    self._setHostMask(message.args[0], message.args[1]);
+                self.emit('chghost', nick, message.args[0], message.args[1], channels, message);
+                break;
+            case 'rpl_hosthidden':
+                // <nick> <host> :is now your displayed host
+                self._setHostMask(_.contains(self.hostMask, '@') ? self.hostMask.split('@')[0] : self.opt.userName,
+                                  message.args[1]);
+                break;
+            case 'SETNAME':
+                nick = message.nick;
+                channels = self._updateNickData(nick, {realname: message.args[0]});
+                if (self.nickEquals(self.nick, nick))
+                    self.opt.realName = message.args[0];
+                self.emit('setname', nick, message.args[0], channels, message);
+                break;
+
             // for sasl
             case 'CAP':
+                var capList = message.args[2];
+                var capMore = false;
+                if (capList === '*') {
+                    // multiline CAP 302 reply, more to come
+                    capList = message.args[3];
+                    capMore = true;
+                }
+                capList = (capList || '').trim().split(' ');
                 if (message.args[1] === 'LS') {
-                    var capabilitiesList = message.args[2].split(' ');
-                    if (message.args[2] === '*') {
-                        capabilitiesList = message.args[3].split(' ');
-                    }
-                    _.each(capabilitiesList, function(cap) {
-                        cap = cap.split('=');
-                        self.supported.capabilities[cap[0]] = cap[1];
-                    });
-                    if (message.args[2] !== '*') {
-                        self.emit('cap-ls', self.supported.capabilities);
-                        if (self.opt.debug)
-                            util.log('Capabilities supported: ' + _.keys(self.supported.capabilities).join(' '));
+                    self._addSupportedCapabilities(capList);
+                    if (capMore) {
+                        break;
                     }
+                    self.emit('cap-ls', self.supported.capabilities);
+                    if (self.opt.debug)
+                        util.log('Capabilities supported: ' + _.keys(self.supported.capabilities).join(' '));
+                    if (!self._capNegotiating)
+                        break;
                     self._capabilitiesReq = _.intersection(self.opt.capabilities, _.keys(self.supported.capabilities));
                     var unsupportedCapabilities = _.difference(self.opt.capabilities, self._capabilitiesReq);
                     if (unsupportedCapabilities.length && self.opt.debug)
                         util.log('CAP LS: not requesting unsupported capabilities: ' + unsupportedCapabilities.join(', '));
-                    if (self.opt.sasl === true) {
+                    if (self.opt.sasl === true && _.has(self.supported.capabilities, 'sasl')) {
                         self._capabilitiesReq.push('sasl');
                     }
                     if (self._capabilitiesReq.length) {
-                        self.send('CAP', 'REQ', _.uniq(self._capabilitiesReq).join(' '));
+                        self._capabilitiesReq = _.uniq(self._capabilitiesReq);
+                        self.send('CAP', 'REQ', self._capabilitiesReq.join(' '));
+                    } else {
+                        self._capNegotiated();
                     }
                 } else if (message.args[1] === 'ACK') {
-                    self.capabilities = _.union(
-                        self.capabilities,
-                        _.intersection(self._capabilitiesReq, message.args[2].split(' ')) // can ACK
-                    );
-                    self._capabilitiesReq = _.difference(self._capabilitiesReq, self.capabilities); // remaining
-                    if (self._capabilitiesReq.length == 0) {
+                    _.each(capList, function(cap) {
+                        if (cap[0] === '-')
+                            self.capabilities = _.without(self.capabilities, cap.slice(1));
+                        else
+                            self.capabilities = _.union(self.capabilities, [cap]);
+                    });
+                    self._capabilitiesReq = _.difference(self._capabilitiesReq, capList); // remaining
+                    self.emit('cap-ack', capList, message);
+                    if (self._capNegotiating && self._capabilitiesReq.length == 0) {
                         if (self.opt.debug)
                             util.log('Capabilities enabled: ' + self.capabilities.join(' '));
-                        if (_.contains(self.capabilities, 'sasl')) {
-                            self.send('AUTHENTICATE', 'PLAIN');
-                        } else {
-                            self.send('CAP', 'END');
-                            self.emit('cap-end');
-                        }
+                        self._capNegotiated();
                     }
                 } else if (message.args[1] === 'NAK') {
                     if (self.opt.debug)
-                        util.log('\u001b[01,31mWARNING: ' + 'CAP REQ denied: ' + message.args[2] + '\u001b[0m');
-                    var capabilitiesNak = _.intersection(self._capabilitiesReq, message.args[2].split(' ')); // can NAK
-                    self._capabilitiesReq = _.difference(self._capabilitiesReq, self.capabilities); // remaining
-                    if (!self._capabilitiesReq.length) {
-                        self.send('CAP', 'END');
-                        self.emit('cap-end');
+                        util.log('\u001b[01,31mWARNING: ' + 'CAP REQ denied: ' + capList.join(' ') + '\u001b[0m');
+                    self._capabilitiesReq = _.difference(self._capabilitiesReq, capList); // remaining
+                    self.emit('cap-nak', capList, message);
+                    if (self._capNegotiating && !self._capabilitiesReq.length) {
+                        self._capNegotiated();
                     }
+                } else if (message.args[1] === 'NEW') {
+                    // cap-notify: the server started offering more capabilities
+                    var newCapabilities = self._addSupportedCapabilities(capList);
+                    self.emit('cap-new', _.pick(self.supported.capabilities, newCapabilities), message);
+                    if (self.opt.debug)
+                        util.log('Capabilities added: ' + newCapabilities.join(' '));
+                    var wantedCapabilities = _.difference(
+                        _.intersection(self.opt.capabilities, newCapabilities),
+                        self.capabilities
+                    );
+                    if (wantedCapabilities.length)
+                        self.requestCapability(wantedCapabilities);
+                } else if (message.args[1] === 'DEL') {
+                    // cap-notify: capabilities no longer offered are disabled too
+                    _.each(capList, function(cap) {
+                        delete self.supported.capabilities[cap];
+                    });
+                    self.capabilities = _.difference(self.capabilities, capList);
+                    self.emit('cap-del', capList, message);
+                    if (self.opt.debug)
+                        util.log('Capabilities removed: ' + capList.join(' '));
                 }
                 break;
             case 'AUTHENTICATE':
-                if (message.args[0] === '+') self.send('AUTHENTICATE',
-                    new Buffer(
-                        self.opt.userName + '\0' +
-                        self.opt.userName + '\0' +
-                        self.opt.password
-                    ).toString('base64'));
+                if (!self._sasl)
+                    break;
+                // challenges longer than 400 bytes arrive in 400 byte chunks
+                if (message.args[0] !== '+')
+                    self._saslChallenge += message.args[0];
+                if (message.args[0].length == 400)
+                    break;
+                var saslResponse = self._sasl.respond(new Buffer(self._saslChallenge, 'base64'));
+                self._saslChallenge = '';
+                _.each(sasl.encode(saslResponse), function(chunk) {
+                    self.send('AUTHENTICATE', chunk);
+                });
                 break;
-            case '900':
-                util.log(message.args[3]); // 'You are now logged in as *'
+            case 'rpl_loggedin':
+                self.account = message.args[2];
+                if (self.opt.debug)
+                    util.log(message.args[3]); // 'You are now logged in as *'
+                self.emit('loggedin', self.account, message);
                 break;
-            case '903':
-                self.emit('sasl-authenticated');
-                self.send('CAP', 'END');
-                self.emit('cap-end');
-                break;
-            case '904':
-            case '905':
-            case '906':
-            case '907':
-                self.emit('sasl-authentication-failed');
+            case 'rpl_loggedout':
+                self.account = null;
                 if (self.opt.debug)
-                    util.log('\u001b[01;31mWARNING: ' + 'SASL auth failed' + '\u001b[0m');
-                self.send('CAP', 'END');
-                self.emit('cap-end');
+                    util.log(message.args[2]); // 'You are now logged out'
+                self.emit('loggedout', message);
+                break;
+            case 'rpl_saslsuccess':
+                self._sasl = null;
+                self.emit('sasl-authenticated');
+                self._capEnd();
+                break;
+            case 'err_saslfail':
+                // wrong credentials for this mechanism
+                self.emit('sasl-fail', self._saslMechanism, message);
+                if (!self._sasl)
+                    break;
+                if (self._saslMechanismsLeft.length) {
+                    if (self.opt.debug)
+                        util.log('SASL ' + self._saslMechanism + ' failed, trying next mechanism');
+                    self._saslNext();
+                    break;
+                }
+                self._saslFailed();
+                break;
+            case 'err_sasltoolong':
+                self.emit('sasl-toolong', self._saslMechanism, message);
+                if (self._sasl)
+                    self._saslFailed();
+                break;
+            case 'err_saslaborted':
+                self.emit('sasl-aborted', self._saslMechanism, message);
+                if (self._sasl)
+                    self._saslFailed();
+                break;
+            case 'err_nicklocked':
+                self.emit('sasl-nicklocked', message);
+                if (self._sasl)
+                    self._saslFailed();
+                break;
+            case 'err_saslalready':
+                // not a failure: whatever we are logged in as stands
+                self.emit('sasl-already', message);
+                if (self._sasl) {
+                    self._sasl = null;
+                    self._capEnd();
+                }
+                break;
+            case 'rpl_saslmechs':
+                var saslMechs = message.args[1].split(',');
+                self.emit('sasl-mechanisms', saslMechs, message);
+                // only bother falling back to mechanisms the server will accept
+                self._saslMechanismsLeft = _.intersection(self._saslMechanismsLeft, saslMechs);
                 break;
             case 'ACCOUNT':
                 if (self.opt.debug)
@@ -700,6 +998,10 @@ function Client(server, nick, opt) {
 
             default:
                 if (message.commandType == 'error') {
+                    // join failures are still errors, for listeners from before joinError
+                    var joinFailed = _.has(joinErrorReasons, message.command) && self._joinFailed(message);
+                    if (!joinFailed && _.contains(undeliveredErrors, message.command) && !self._answersRequest(message))
+                        self._dropPendingMessage(message.args[1], message.args[message.args.length - 1], message);
                     self.emit('error', message);
                     if (self.opt.showErrors)
                         util.log('\u001b[01;31mERROR: ' + util.inspect(message) + '\u001b[0m');
@@ -712,13 +1014,36 @@ function Client(server, nick, opt) {
         }
     });
 
+    // after the line has been handled, hand single line replies to their requests
+    self.addListener('raw', function(message) {
+        if (message.commandType == 'error') {
+            _.each(_.clone(self._awaiting), function(wait) {
+                if (_.contains(wait.errors, message.command) && self.nickEquals(message.args[1], wait.target))
+                    self._settleReply(wait, replyError(message));
+            });
+        }
+
+        var label = message.tags.label;
+        if (!label || !self._requests[label])
+            return;
+        // a labeled-response batch is handed over when it ends
+        if (message.command == 'BATCH' && message.args[1] == 'labeled-response')
+            return;
+        self._finishRequest(label, null, (message.command == 'ACK') ? [] : [message]);
+    });
+
     self.addListener('kick', function(channel, who, by, reason) {
         if (self.opt.autoRejoin)
-            self.send.apply(self, ['JOIN'].concat(channel.split(' ')));
+            self._sendJoin(channel);
     });
     self.addListener('motd', function(motd) {
+        var userModes = self.opt.userModes;
+        if (self.opt.botMode && self.isupport.BOT)
+            userModes += '+' + self.isupport.BOT;
+        if (userModes)
+            self.setUserMode(userModes);
         self.opt.channels.forEach(function(channel) {
-            self.send.apply(self, ['JOIN'].concat(channel.split(' ')));
+            self._sendJoin(channel);
         });
     });
 
@@ -727,11 +1052,28 @@ function Client(server, nick, opt) {
 util.inherits(Client, EventEmitter);
 
 Client.prototype.conn = null;
+Client.prototype.account = null;
+Client.prototype.away = false;
+Client.prototype.userModes = '';
+Client.prototype.lag = null;
+Client.prototype.awayMessage = null;
 Client.prototype.prefixForMode = {};
 Client.prototype.modeForPrefix = {};
 Client.prototype.chans = {};
 Client.prototype.syncChans = {};
 Client.prototype._whoisData = {};
+Client.prototype._namesData = {};
+Client.prototype._modeListData = {};
+Client.prototype._batches = {};
+Client.prototype._requests = {};
+Client.prototype._lastLabel = 0;
+Client.prototype._lastBatchRef = 0;
+Client.prototype.pendingMessages = [];
+Client.prototype._pendingJoins = {};
+Client.prototype._joinOnInvite = {};
+Client.prototype._joinTimers = {};
+Client.prototype._pingTimer = null;
+Client.prototype._pingSent = null;
 Client.prototype._who = {
     data:   [],
     queue:  [],
@@ -744,15 +1086,237 @@ Client.prototype._who = {
 };
 
 Client.prototype._capabilitiesReq = [];
+Client.prototype._capNegotiating = false;
+Client.prototype._sasl = null;
+Client.prototype._saslMechanism = null;
+Client.prototype._saslMechanismsLeft = [];
+Client.prototype._saslChallenge = '';
+
+// SASL mechanisms to try, in order of preference, limited to those
+// the server advertised (CAP LS 302 "sasl=PLAIN,EXTERNAL") if it did
+Client.prototype._saslMechanisms = function() {
+    var mechanisms = this.opt.saslMechanisms;
+    if (!mechanisms) {
+        mechanisms = [];
+        var secure = this.opt.secure;
+        if (typeof secure == 'object' && (secure.cert || secure.pfx))
+            mechanisms.push('EXTERNAL');
+        if (this.opt.saslPassword || this.opt.password)
+            mechanisms.push('SCRAM-SHA-256', 'PLAIN');
+    }
+    var advertised = this.supported.capabilities.sasl;
+    if (advertised)
+        mechanisms = _.intersection(mechanisms, advertised.split(','));
+    return _.filter(mechanisms, function(mechanism) {
+        return _.has(sasl.mechanisms, mechanism);
+    });
+};
+
+// Start authenticating with the next mechanism, or give up
+Client.prototype._saslNext = function() {
+    var mechanism = this._saslMechanismsLeft.shift();
+    if (!mechanism) {
+        this._saslFailed();
+        return;
+    }
+    this._saslMechanism = mechanism;
+    this._saslChallenge = '';
+    this._sasl = new sasl.mechanisms[mechanism](
+        this.opt.saslUser || this.opt.userName,
+        this.opt.saslPassword || this.opt.password
+    );
+    this.send('AUTHENTICATE', mechanism);
+};
+
+Client.prototype._saslFailed = function() {
+    this._sasl = null;
+    this._saslMechanismsLeft = [];
+    this.emit('sasl-authentication-failed');
+    if (this.opt.debug)
+        util.log('\u001b[01;31mWARNING: ' + 'SASL auth failed' + '\u001b[0m');
+    if (this.opt.saslRequired) {
+        // rather not connect at all than connect unauthenticated
+        this.disconnect('SASL authentication failed');
+        return;
+    }
+    this._capEnd();
+};
+
+// Called once all requested capabilities were ACKed or NAKed
+Client.prototype._capNegotiated = function() {
+    if (_.contains(this.capabilities, 'sasl')) {
+        this._saslMechanismsLeft = this._saslMechanisms();
+        this._saslNext();
+    } else if (this.opt.sasl && this.opt.saslRequired) {
+        if (this.opt.debug)
+            util.log('SASL is required but the server does not support it');
+        this._saslFailed();
+    } else {
+        this._capEnd();
+    }
+};
+
+Client.prototype._capEnd = function() {
+    this._capNegotiating = false;
+    this.send('CAP', 'END');
+    this.emit('cap-end');
+};
+
+// Record capabilities from a CAP LS/NEW list, returning their names
+Client.prototype._addSupportedCapabilities = function(list) {
+    var self = this;
+    return _.map(_.compact(list), function(cap) {
+        // values may contain '=' themselves, e.g. sasl=PLAIN,EXTERNAL
+        var eq = cap.indexOf('=');
+        if (eq === -1) {
+            self.supported.capabilities[cap] = undefined;
+            return cap;
+        }
+        self.supported.capabilities[cap.slice(0, eq)] = cap.slice(eq + 1);
+        return cap.slice(0, eq);
+    });
+};
+
+/**
+ * Request capabilities from the server, e.g. after registration when the
+ * server announced them with CAP NEW.
+ * @param {string|Array} capabilities - Capabilities to request
+ * @param {function}     [callback]   - Called with (acked, capabilities) once the server replies
+ */
+Client.prototype.requestCapability = function(capabilities, callback) {
+    var self = this;
+    if (typeof capabilities == 'string')
+        capabilities = capabilities.split(' ');
+    capabilities = _.uniq(_.compact(capabilities));
+    if (!capabilities.length)
+        return;
+
+    if (typeof callback == 'function') {
+        // the server ACKs or NAKs a request as a whole, echoing it back
+        var sameRequest = function(caps) {
+            return _.isEqual(caps.slice().sort(), capabilities.slice().sort());
+        };
+        var onAck = function(caps) {
+            if (!sameRequest(caps)) return;
+            cleanup();
+            callback.call(self, true, caps);
+        };
+        var onNak = function(caps) {
+            if (!sameRequest(caps)) return;
+            cleanup();
+            callback.call(self, false, caps);
+        };
+        var cleanup = function() {
+            self.removeListener('cap-ack', onAck);
+            self.removeListener('cap-nak', onNak);
+        };
+        self.addListener('cap-ack', onAck);
+        self.addListener('cap-nak', onNak);
+    }
+    self._capabilitiesReq = _.union(self._capabilitiesReq, capabilities);
+    self.send('CAP', 'REQ', capabilities.join(' '));
+};
+
+/**
+ * Disable capabilities previously enabled.
+ * @param {string|Array} capabilities - Capabilities to drop
+ * @param {function}     [callback]   - Called with (acked, capabilities) once the server replies
+ */
+Client.prototype.dropCapability = function(capabilities, callback) {
+    if (typeof capabilities == 'string')
+        capabilities = capabilities.split(' ');
+    this.requestCapability(_.map(_.compact(capabilities), function(cap) {
+        return '-' + cap;
+    }), callback);
+};
+
+Client.prototype.isupportHas = function(token) {
+    return _.has(this.isupport, token);
+};
+
+// Get a numeric ISUPPORT value, or defaultValue if it's missing or empty
+Client.prototype.isupportNumber = function(token, defaultValue) {
+    var value = parseInt(this.isupport[token], 10);
+    return isNaN(value) ? defaultValue : value;
+};
+
+// Get a comma separated ISUPPORT value as a list, e.g.
+// CHANMODES=b,k,l,imnpst becomes ['b', 'k', 'l', 'imnpst']
+Client.prototype.isupportList = function(token) {
+    var value = this.isupport[token];
+    return value ? value.split(',') : [];
+};
+
+// Get an ISUPPORT value of the form key:value,key:value as an object,
+// e.g. TARGMAX=PRIVMSG:4,JOIN: becomes {PRIVMSG: 4, JOIN: null}
+Client.prototype.isupportMap = function(token) {
+    var map = {};
+    _.each(this.isupportList(token), function(item) {
+        var index = item.indexOf(':');
+        var key = (index == -1) ? item : item.slice(0, index);
+        var value = (index == -1) ? '' : item.slice(index + 1);
+        if (value === '')
+            map[key] = null;
+        else if (/^\d+$/.test(value))
+            map[key] = parseInt(value, 10);
+        else
+            map[key] = value;
+    });
+    return map;
+};
+
+// Get the network name from ISUPPORT NETWORK, or null if it's not known
+Client.prototype.networkName = function() {
+    return this.isupport.NETWORK || null;
+};
+
+/**
+ * Fold the case of a nick or channel name according to the server's
+ * CASEMAPPING, so that equivalent names compare equal.
+ * @param {string} name - Nick or channel name
+ * @return {string} The folded name
+ */
+Client.prototype.caseFold = function(name) {
+    switch (this.supported.casemapping) {
+        case 'ascii':
+            return name.replace(/[A-Z]+/g, function(c) { return c.toLowerCase(); });
+        case 'strict-rfc1459':
+            return name.replace(/[A-Z\[\]\\]+/g, foldRfc1459);
+        case 'rfc7613':
+            // PRECIS nickname profile: NFKC normalization, then Unicode lowercase
+            return (name.normalize ? name.normalize('NFKC') : name).toLowerCase();
+        default:
+            // rfc1459, the default when CASEMAPPING is not advertised
+            return name.replace(/[A-Z\[\]\\~]+/g, foldRfc1459);
+    }
+};
+
+Client.prototype.nickEquals = function(a, b) {
+    if (typeof a != 'string' || typeof b != 'string')
+        return false;
+    return a === b || this.caseFold(a) === this.caseFold(b);
+};
+
+// Get the key of nick in a channel's users, if it's there under any case
+Client.prototype._findNick = function(users, nick) {
+    if (_.has(users, nick))
+        return nick;
+    var folded = this.caseFold(nick);
+    return _.find(_.keys(users), function(key) {
+        return this.caseFold(key) === folded;
+    }, this);
+};
 
 Client.prototype.chanData = function(name, create) {
-    var key = name.toLowerCase();
+    var key = this.caseFold(name);
     if (create) {
         this.chans[key] = this.chans[key] || {
             key: key,
             serverName: name,
             users: {},
-            mode: ''
+            mode: '',
+            modeParams: {},
+            lists: {}
         };
     }
 
@@ -760,12 +1324,18 @@ Client.prototype.chanData = function(name, create) {
 };
 
 Client.prototype._connectionHandler = function() {
+    // a server that never says anything must be noticed too
+    this._keepAlive();
     if (this.opt.webirc.ip && this.opt.webirc.pass && this.opt.webirc.host) {
         this.send('WEBIRC', this.opt.webirc.pass, this.opt.userName, this.opt.webirc.host, this.opt.webirc.ip);
     }
     if (this.opt.password && !this.opt.sasl) {
         this.send('PASS', this.opt.password);
     }
+    this.capabilities = [];
+    this.supported.capabilities = {};
+    this._capabilitiesReq = [];
+    this._capNegotiating = true;
     this.send('CAP', 'LS', '302');
     if (this.opt.debug)
         util.log('Sending irc NICK/USER');
@@ -773,7 +1343,7 @@ Client.prototype._connectionHandler = function() {
     this.nick = this.opt.nick;
     this._updateMaxLineLength();
     this.send('USER', this.opt.userName, 8, '*', this.opt.realName);
-    this.addListener('cap-end', function() {
+    this.once('cap-end', function() {
         this.emit('connect');
     });
 };
@@ -787,8 +1357,31 @@ Client.prototype.connect = function(retryCount, callback) {
     if (typeof (callback) === 'function') {
         this.once('registered', callback);
     }
+    // reconnecting keeps the promise of the first attempt
+    var connecting = _.find(this._awaiting, {event: 'registered'});
+    var promise = connecting ? connecting.promise : this._awaitReply({
+        event: 'registered',
+        failEvents: this.opt.saslRequired ? ['abort', 'sasl-authentication-failed'] : ['abort'],
+        description: 'Connecting to ' + this.opt.server
+    });
     var self = this;
     self.chans = {};
+    self._namesData = {};
+    self._modeListData = {};
+    self._batches = {};
+    self._requests = {};
+    self.pendingMessages = [];
+    self._pendingJoins = {};
+    self._joinOnInvite = {};
+    self._joinTimers = {};
+    self.isupport = {};
+    self.account = null;
+    self.away = false;
+    self.awayMessage = null;
+    self._awayMessage = null;
+    self.userModes = '';
+    self.lag = null;
+    self._pingSent = null;
 
     // socket opts
     var connectionOpts = {
@@ -851,6 +1444,7 @@ Client.prototype.connect = function(retryCount, callback) {
     var buffer = new Buffer('');
 
     self.conn.addListener('data', function(chunk) {
+        self._keepAlive();
         if (typeof (chunk) === 'string') {
             buffer += chunk;
         } else {
@@ -870,6 +1464,7 @@ Client.prototype.connect = function(retryCount, callback) {
         lines.forEach(function iterator(line) {
             if (line.length) {
                 var message = parseMessage(line, self.opt.stripColors);
+                message.time = self._messageTime(message);
 
                 try {
                     self.emit('raw', message);
@@ -888,6 +1483,28 @@ Client.prototype.connect = function(retryCount, callback) {
     self.conn.addListener('close', function() {
         if (self.opt.debug)
             util.log('Connection got "close" event');
+        self.monitor._stop();
+        self.history._stop();
+        clearTimeout(self._pingTimer);
+        self._pingSent = null;
+        if (self._floodControl)
+            self._floodControl.clear();
+        _.each(_.keys(self._requests), function(label) {
+            self._finishRequest(label, new Error('Disconnected'));
+        });
+        _.each(_.reject(self._awaiting, {event: 'registered'}), function(wait) {
+            self._settleReply(wait, new Error('Disconnected'));
+        });
+        _.each(self._joinTimers, clearTimeout);
+        self._joinTimers = {};
+        _.each(_.values(self._pendingJoins).concat(_.values(self._joinOnInvite)), function(pending) {
+            self._abandonJoin(pending, new Error('Disconnected'));
+        });
+        self._pendingJoins = {};
+        self._joinOnInvite = {};
+        _.each(self.pendingMessages.splice(0), function(pending) {
+            self.emit('messageDropped', pending.target, pending.text, 'Disconnected');
+        });
         if (self.conn.requestedDisconnect)
             return;
         if (self.opt.debug)
@@ -913,6 +1530,7 @@ Client.prototype.connect = function(retryCount, callback) {
             util.log('Network error: ' + exception);
         }
     });
+    return promise;
 };
 Client.prototype.disconnect = function(message, callback) {
     if (typeof (message) === 'function') {
@@ -923,7 +1541,7 @@ Client.prototype.disconnect = function(message, callback) {
     var self = this;
     if (self.conn.readyState == 'open') {
         var sendFunction;
-        if (self.opt.floodProtection) {
+        if (self._floodControl) {
             sendFunction = self._sendImmediate;
             self._clearCmdQueue();
         } else {
@@ -935,11 +1553,55 @@ Client.prototype.disconnect = function(message, callback) {
     if (typeof (callback) === 'function') {
         self.conn.once('end', callback);
     }
+    var conn = self.conn;
+    var promise = new Promise(function(resolve) {
+        if (conn.readyState == 'closed')
+            resolve();
+        else
+            conn.once('close', function() { resolve(); });
+    });
     self.conn.end();
+    return promise;
+};
+
+// Called whenever the server sends something: once it has been silent for
+// pingInterval we PING it, and give up on the connection if it stays silent
+// for pingTimeout after that.
+Client.prototype._keepAlive = function() {
+    var self = this;
+    var conn = self.conn;
+    clearTimeout(self._pingTimer);
+    if (!self.opt.pingInterval)
+        return;
+    self._pingTimer = setTimeout(function() {
+        if (conn !== self.conn || conn.readyState != 'open')
+            return;
+        self._pingSent = {token: 'node-irc-' + Date.now(), time: Date.now()};
+        self.send('PING', self._pingSent.token);
+        self._pingTimer = setTimeout(function() {
+            if (conn !== self.conn)
+                return;
+            if (self.opt.debug)
+                util.log('No reply from the server in ' + self.opt.pingTimeout + 'ms, dropping the connection');
+            conn.destroy(new Error('Ping timeout'));
+        }, self.opt.pingTimeout);
+        self._pingTimer.unref();
+    }, self.opt.pingInterval);
+    self._pingTimer.unref();
+};
+
+Client.prototype._gotPong = function(token) {
+    if (!this._pingSent || token !== this._pingSent.token)
+        return;
+    this.lag = Date.now() - this._pingSent.time;
+    this._pingSent = null;
+    this.emit('lag', this.lag);
 };
 
 Client.prototype.send = function(command) {
     var args = Array.prototype.slice.call(arguments);
+    // an object before the command holds tags to send with it
+    var tags = (typeof command == 'object') ? parseMessage.formatTags(args.shift()) : '';
 
     // Note that the command arg is included in the args array as the first element
 
@@ -947,26 +1609,35 @@ Client.prototype.send = function(command) {
         args[args.length - 1] = ':' + args[args.length - 1];
     }
 
+    var line = (tags ? tags + ' ' : '') + args.join(' ');
     if (this.opt.debug)
-        util.log('SEND: ' + args.join(' '));
+        util.log('SEND: ' + line);
 
     if (!this.conn.requestedDisconnect) {
-        this.conn.write(args.join(' ') + '\r\n');
+        this.conn.write(line + '\r\n');
     }
 };
 
 Client.prototype.activateFloodProtection = function(interval) {
+    var self = this,
+        origSend = this.send;
 
-    var cmdQueue = [],
-        safeInterval = interval || this.opt.floodProtectionDelay,
-        self = this,
-        origSend = this.send,
-        dequeue;
+    if (this._floodControl) {
+        this._floodControl.interval = interval || this.opt.floodProtectionDelay;
+        return;
+    }
 
-    // Wrapper for the original function. Just put everything to on central
-    // queue.
+    this._floodControl = new FloodControl(function(args) {
+        origSend.apply(self, args);
+    }, {
+        interval: interval || this.opt.floodProtectionDelay,
+        burst: this.opt.floodProtectionBurst,
+        costs: this.opt.floodProtectionCosts
+    });
+
+    // Wrapper for the original function, everything goes through the limiter
     this.send = function() {
-        cmdQueue.push(arguments);
+        self._floodControl.push(Array.prototype.slice.call(arguments));
     };
 
     this._sendImmediate = function() {
@@ -974,24 +1645,86 @@ Client.prototype.activateFloodProtection = function(interval) {
     };
 
     this._clearCmdQueue = function() {
-        cmdQueue = [];
+        self._floodControl.clear();
     };
+};
 
-    dequeue = function() {
-        var args = cmdQueue.shift();
-        if (args) {
-            origSend.apply(self, args);
-        }
+// Whether a queued send() call is addressed to target
+Client.prototype._queuedFor = function(target) {
+    var self = this;
+    return function(args) {
+        var params = (typeof args[0] == 'object') ? args.slice(2) : args.slice(1);
+        return params.length > 0 && _.some(String(params[0]).split(','), function(name) {
+            return self.nickEquals(name, target);
+        });
     };
+};
 
-    // Slowly unpack the queue without flooding.
-    setInterval(dequeue, safeInterval);
-    dequeue();
+// Number of commands held back by flood protection, optionally only those for target
+Client.prototype.queueLength = function(target) {
+    if (!this._floodControl)
+        return 0;
+    return this._floodControl.length(target ? this._queuedFor(target) : null);
+};
+
+// Drop the queued commands for target, returns how many were dropped
+Client.prototype.cancelQueued = function(target) {
+    if (!this._floodControl)
+        return 0;
+    var queuedFor = this._queuedFor(target);
+    var cancelled = [];
+    var count = this._floodControl.remove(function(args) {
+        if (!queuedFor(args))
+            return false;
+        cancelled.push(args);
+        return true;
+    });
+    this._cancelPendingMessages(cancelled);
+    return count;
+};
+
+// Messages cancelled before being sent won't be echoed (echo-message), so
+// they are dropped right away. The lines of a multiline batch make up one.
+Client.prototype._cancelPendingMessages = function(cancelled) {
+    var messages = [], batches = {};
+    _.each(cancelled, function(args) {
+        var tags = (typeof args[0] == 'object') ? args[0] : {};
+        var params = (typeof args[0] == 'object') ? args.slice(1) : args;
+        if (params[0] != 'PRIVMSG' && params[0] != 'NOTICE')
+            return;
+        var batch = tags.batch && batches[tags.batch];
+        if (batch) {
+            batch.text += (_.has(tags, 'draft/multiline-concat') ? '' : '\n') + params[2];
+            return;
+        }
+        var message = {kind: params[0], target: params[1], text: params[2]};
+        if (tags.batch)
+            batches[tags.batch] = message;
+        messages.push(message);
+    });
+
+    _.each(messages, function(message) {
+        var index = _.findIndex(this.pendingMessages, function(pending) {
+            return pending.kind == message.kind && pending.text == message.text &&
+                this.nickEquals(pending.target, message.target);
+        }, this);
+        if (index == -1)
+            return;
+        var pending = this.pendingMessages.splice(index, 1)[0];
+        this.emit('messageDropped', pending.target, pending.text, 'Cancelled');
+    }, this);
 };
 
 Client.prototype.join = function(channel, callback) {
     var channelName =  channel.split(' ')[0];
-    this.once('join' + channelName, function() {
+    // join failures are handled by _joinFailed(), which only rejects once
+    // the joinRetry policy gives up
+    var promise = this._awaitReply({
+        event: 'selfjoin' + this.caseFold(channelName),
+        target: channelName,
+        description: 'Joining ' + channelName
+    });
+    var listener = function() {
         // if join is successful, add this channel to opts.channels
         // so that it will be re-joined upon reconnect (as channels
         // specified in options are)
@@ -1002,8 +1735,93 @@ Client.prototype.join = function(channel, callback) {
         if (typeof (callback) == 'function') {
             return callback.apply(this, arguments);
         }
-    });
+    };
+    this.once('join' + channelName, listener);
+    var pending = this._sendJoin(channel);
+    pending.listeners.push({event: 'join' + channelName, listener: listener});
+    pending.waits.push(_.find(this._awaiting, {promise: promise}));
+    return promise;
+};
+
+// Send a JOIN, remembering it so failures can be told apart and retried.
+// A retry takes over the callbacks and promises of the join that failed.
+Client.prototype._sendJoin = function(channel, retried) {
+    var key = this.caseFold(channel.split(' ')[0]);
+    var pending = this._pendingJoins[key] = this._pendingJoins[key] || {listeners: [], waits: [], retries: 0};
+    if (retried) {
+        pending.listeners = pending.listeners.concat(retried.listeners);
+        pending.waits = pending.waits.concat(retried.waits);
+        pending.retries = Math.max(pending.retries, retried.retries);
+    }
+    pending.channel = channel;
     this.send.apply(this, ['JOIN'].concat(channel.split(' ')));
+    return pending;
+};
+
+// Handle an error numeric that may be the answer to a JOIN, returning
+// whether it was
+Client.prototype._joinFailed = function(message) {
+    var channelName = message.args[1];
+    var key = this.caseFold(channelName);
+    var pending = this._pendingJoins[key];
+    // some of these numerics are also used for other commands
+    if (!pending && !_.contains(channelJoinErrors, message.command))
+        return false;
+
+    delete this._pendingJoins[key];
+    var reason = joinErrorReasons[message.command];
+    this.emit('joinError', channelName, reason, message);
+    if (this.opt.debug)
+        util.log('Could not join ' + channelName + ': ' + reason);
+    pending = pending || {channel: channelName, listeners: [], waits: [], retries: 0};
+    if (!this._retryJoin(pending, reason))
+        this._abandonJoin(pending, replyError(message));
+    return true;
+};
+
+// Drop the callbacks of a join and reject its promises
+Client.prototype._abandonJoin = function(pending, err) {
+    _.each(pending.listeners, function(join) {
+        this.removeListener(join.event, join.listener);
+    }, this);
+    _.each(pending.waits, function(wait) {
+        this._settleReply(wait, err);
+    }, this);
+};
+
+// Apply the joinRetry policy to a failed join, returning whether it will
+// be tried again
+Client.prototype._retryJoin = function(pending, reason) {
+    var self = this;
+    var policy = _.defaults({}, self.opt.joinRetry, {
+        invite: false,
+        knock: false,
+        throttleDelay: 0,
+        maxRetries: 3
+    });
+    var channelName = pending.channel.split(' ')[0];
+    var key = self.caseFold(channelName);
+    switch (reason) {
+        case 'inviteonly':
+            if (policy.knock && self.isupportHas('KNOCK'))
+                self.send('KNOCK', channelName);
+            if (!policy.invite && !policy.knock)
+                return false;
+            self._joinOnInvite[key] = pending;
+            return true;
+        case 'throttled':
+        case 'unavailable':
+            if (!policy.throttleDelay || pending.retries >= policy.maxRetries)
+                return false;
+            pending.retries++;
+            clearTimeout(self._joinTimers[key]);
+            self._joinTimers[key] = setTimeout(function() {
+                delete self._joinTimers[key];
+                self._sendJoin(pending.channel, pending);
+            }, policy.throttleDelay);
+            return true;
+    }
+    return false;
 };
 
 Client.prototype.part = function(channel, message, callback) {
@@ -1014,6 +1832,13 @@ Client.prototype.part = function(channel, message, callback) {
     if (typeof (callback) == 'function') {
         this.once('part' + channel, callback);
     }
+    var promise = this._awaitReply({
+        event: 'selfpart' + this.caseFold(channel),
+        errors: ['err_notonchannel', 'err_nosuchchannel'],
+        target: channel,
+        resolveWith: function(reason, message) { return message; },
+        description: 'Parting ' + channel
+    });
 
     // remove this channel from this.opt.channels so we won't rejoin
     // upon reconnect
@@ -1026,6 +1851,87 @@ Client.prototype.part = function(channel, message, callback) {
     } else {
         this.send('PART', channel);
     }
+    return promise;
+};
+
+// Fetch the entries of a list mode, such as bans (b), ban exceptions (e),
+// invite exceptions (I) or quiets (q). Resolves with the list, which is
+// also kept in the channel's lists if we are in it.
+Client.prototype.modeList = function(channel, mode) {
+    var self = this;
+    var promise = this._awaitReply({
+        event: 'modelist',
+        accept: function(name, listMode) {
+            return listMode == mode && self.nickEquals(name, channel);
+        },
+        resolveWith: function(name, listMode, entries) { return entries; },
+        errors: ['err_chanoprivsneeded', 'err_nosuchchannel', 'err_notonchannel'],
+        target: channel,
+        description: 'Listing +' + mode + ' on ' + channel
+    });
+    this.send('MODE', channel, '+' + mode);
+    return promise;
+};
+
+Client.prototype.banList = function(channel) {
+    return this.modeList(channel, 'b');
+};
+
+// Change realname at runtime, which requires the setname capability.
+// Otherwise the new realname is only used when reconnecting.
+Client.prototype.setRealName = function(realname) {
+    if (!_.contains(this.capabilities, 'setname')) {
+        if (this.opt.debug)
+            util.log('In Client.setRealName(): setname not enabled, realname will change on reconnect');
+        this.opt.realName = realname;
+        return false;
+    }
+    // opt.realName is updated once the server confirms
+    this.send('SETNAME', realname);
+    return true;
+};
+
+// Change our user modes, e.g. '+B' or '-i+w'. Returns false without sending
+// anything if the server doesn't support one of the modes.
+Client.prototype.setUserMode = function(modes) {
+    var supported = this.supported.usermodes;
+    var unsupported = _.filter(modes.replace(/[+-]/g, '').split(''), function(mode) {
+        return supported && supported.indexOf(mode) == -1;
+    });
+    if (unsupported.length) {
+        if (this.opt.debug)
+            util.log('In Client.setUserMode(): unsupported user modes ' + unsupported.join(''));
+        return false;
+    }
+    this.send('MODE', this.nick, modes);
+    return true;
+};
+
+// Apply a change of our user modes, or with replace all of them (RPL_UMODEIS)
+Client.prototype._updateUserModes = function(modeString, message, replace) {
+    var before = this.userModes;
+    var modes = replace ? '' : before;
+    _.each(parseModeString(modeString, [], {}), function(change) {
+        if (!change.adding)
+            modes = modes.replace(change.mode, '');
+        else if (modes.indexOf(change.mode) == -1)
+            modes += change.mode;
+    });
+    this.userModes = modes;
+    var added = _.difference(modes.split(''), before.split(''));
+    var removed = _.difference(before.split(''), modes.split(''));
+    if (added.length || removed.length)
+        this.emit('usermode', added, removed, message);
+};
+
+Client.prototype.setAway = function(message) {
+    // an empty AWAY would mark us as back instead
+    this._awayMessage = message || 'Away';
+    this.send('AWAY', this._awayMessage);
+};
+
+Client.prototype.back = function() {
+    this.send('AWAY');
 };
 
 Client.prototype.action = function(channel, text) {
@@ -1039,37 +1945,72 @@ Client.prototype.action = function(channel, text) {
     }
 };
 
-Client.prototype._splitLongLines = function(words, maxLength, destination) {
-    if (words.length === 0) {
-        return destination;
-    }
-    if (words.length <= maxLength) {
-        destination.push(words);
-        return destination;
-    }
-    var c = words[maxLength];
-    var cutPos;
-    var wsLength = 1;
-    if (c.match(/\s/)) {
-        cutPos = maxLength;
-    } else {
-        var offset = 1;
-        while ((maxLength - offset) > 0) {
-            c = words[maxLength - offset];
-            if (c.match(/\s/)) {
-                cutPos = maxLength - offset;
+// Split words into lines of at most maxLength bytes, preferably at whitespace.
+// Characters and formatting codes are never cut in half, and formatting in
+// effect at the end of a line is repeated at the start of the next one.
+// With concat, the lines are to be joined back together as they are (see
+// draft/multiline), so whitespace is kept and formatting isn't repeated.
+Client.prototype._splitLongLines = function(words, maxLength, destination, concat) {
+    var self = this;
+    var units = formatting.units(words);
+    var state = concat ? null : new formatting.State();
+
+    var first = true;
+    while (units.length) {
+        // formatting starting a continuation line goes in with the carried state
+        while (state && !first && formatting.isFormatting(units[0]))
+            state.apply(units.shift());
+        if (!units.length)
+            break;
+        first = false;
+        var prefix = state ? state.codes() : '';
+        var room = maxLength - self._byteLength(prefix);
+        var fit = 0, bytes = 0;
+        while (fit < units.length && bytes + self._byteLength(units[fit]) <= room) {
+            bytes += self._byteLength(units[fit]);
+            fit++;
+        }
+        if (fit == units.length) {
+            destination.push(prefix + units.join(''));
+            break;
+        }
+
+        // cut at the last whitespace that fits, dropping it, or else mid-word
+        var cutPos = fit, wsLength = 0;
+        for (var i = concat ? fit - 1 : fit; i > 0; i--) {
+            if (/^\s$/.test(units[i])) {
+                cutPos = concat ? i + 1 : i;
+                wsLength = concat ? 0 : 1;
                 break;
             }
-            offset++;
         }
-        if (maxLength - offset <= 0) {
-            cutPos = maxLength;
-            wsLength = 0;
+        // always make progress, even if a single grapheme doesn't fit
+        if (cutPos === 0) {
+            cutPos = 1;
+            wsLength = (!concat && /^\s$/.test(units[1])) ? 1 : 0;
         }
+
+        destination.push(prefix + units.slice(0, cutPos).join(''));
+        if (state)
+            _.each(units.slice(0, cutPos), state.apply, state);
+        units = units.slice(cutPos + wsLength);
+    }
+    return destination;
+};
+
+// Length of text once encoded to be sent to the server
+Client.prototype._byteLength = function(text) {
+    var encoding = this.opt.encoding;
+    if (!encoding || Buffer.isEncoding(encoding))
+        return Buffer.byteLength(text, encoding || 'utf8');
+    try {
+        var Iconv = require('iconv').Iconv;
+        if (!this._encoder || this._encoder.encoding != encoding)
+            this._encoder = {encoding: encoding, iconv: new Iconv('UTF-8', encoding + '//TRANSLIT//IGNORE')};
+        return this._encoder.iconv.convert(text).length;
+    } catch (err) {
+        return Buffer.byteLength(text, 'utf8');
     }
-    var part = words.substring(0, cutPos);
-    destination.push(part);
-    return this._splitLongLines(words.substring(cutPos + wsLength, words.length), maxLength, destination);
 };
 
 Client.prototype.say = function(target, text) {
@@ -1082,26 +2023,159 @@ Client.prototype.notice = function(target, text) {
 
 Client.prototype._speak = function(kind, target, text) {
     var self = this;
-    var maxLength = this.maxLineLength - target.length;
+    var maxLength = this.maxLineLength - this._byteLength(target);
     if (typeof text !== 'undefined') {
-        text.toString().split(/\r?\n/).filter(function(line) {
+        var lines = text.toString().split(/\r?\n/).filter(function(line) {
             return line.length > 0;
-        }).forEach(function(line) {
+        });
+        // multiline batches can't be sent without batch too
+        if (_.contains(self.capabilities, 'draft/multiline') && _.contains(self.capabilities, 'batch')) {
+            self._speakMultiline(kind, target, lines, maxLength);
+            return;
+        }
+        lines.forEach(function(line) {
             var linesToSend = self._splitLongLines(line, maxLength, []);
             linesToSend.forEach(function(toSend) {
                 self.send(kind, target, toSend);
-                if (kind == 'PRIVMSG') {
-                    self.emit('selfMessage', target, toSend);
-                }
+                self._spoken(kind, target, toSend);
             });
         });
     }
 };
 
+// Note a message sent to target
+Client.prototype._spoken = function(kind, target, text) {
+    // with echo-message, wait for the server to say it was delivered
+    if (_.contains(this.capabilities, 'echo-message'))
+        this.pendingMessages.push({kind: kind, target: target, text: text});
+    else if (kind == 'PRIVMSG') {
+        this.emit('selfMessage', target, text);
+    }
+};
+
+// Send lines as few draft/multiline batches as the server's max-bytes and
+// max-lines allow. Lines too long to relay to clients without multiline
+// support are split, and tagged to be joined back together without a line break.
+Client.prototype._speakMultiline = function(kind, target, lines, maxLength) {
+    var self = this;
+    var limits = _.chain((self.supported.capabilities['draft/multiline'] || '').split(','))
+                    .invoke('split', '=')
+                    .object()
+                    .value();
+    var maxBytes = parseInt(limits['max-bytes'], 10) || 4096;
+    var maxLines = parseInt(limits['max-lines'], 10) || Infinity;
+
+    var batches = [], current, bytes;
+    _.each(lines, function(line) {
+        _.each(self._splitLongLines(line, maxLength, [], true), function(part, index) {
+            // max-bytes counts the line breaks between lines
+            var size = self._byteLength(part) + (index ? 0 : 1);
+            if (!current || current.length >= maxLines || bytes + size > maxBytes) {
+                current = [];
+                batches.push(current);
+                bytes = 0;
+            }
+            bytes += size;
+            // a batch can't start with a line to be joined to the one before
+            current.push({text: part, concat: index > 0 && current.length > 0});
+        });
+    });
+
+    _.each(batches, function(parts) {
+        var text = _.reduce(parts, function(text, part, index) {
+            return text + (index && !part.concat ? '\n' : '') + part.text;
+        }, '');
+        if (parts.length == 1) {
+            self.send(kind, target, text);
+        }
+        else {
+            var ref = 'multiline' + (++self._lastBatchRef);
+            self.send('BATCH', '+' + ref, 'draft/multiline', target);
+            _.each(parts, function(part) {
+                var tags = {batch: ref};
+                if (part.concat)
+                    tags['draft/multiline-concat'] = true;
+                self.send(tags, kind, target, part.text);
+            });
+            self.send('BATCH', '-' + ref);
+        }
+        self._spoken(kind, target, text);
+    });
+};
+
+// A PRIVMSG or NOTICE put back together from a draft/multiline batch
+Client.prototype._multilineMessage = function(batch) {
+    var lines = _.filter(batch.messages, function(message) {
+        return message.batch === batch && (message.command == 'PRIVMSG' || message.command == 'NOTICE');
+    });
+    if (!lines.length)
+        return;
+    var text = _.reduce(lines, function(text, line, index) {
+        var concat = _.has(line.tags, 'draft/multiline-concat');
+        return text + (index && !concat ? '\n' : '') + (line.args[1] || '');
+    }, '');
+    return _.extend({}, lines[0], {
+        args: [batch.params[0], text],
+        tags: _.extend(_.omit(lines[0].tags, 'batch', 'draft/multiline-concat'), batch.tags),
+        batch: batch,
+        lines: lines
+    });
+};
+
+// A PRIVMSG or NOTICE we sent, echoed back by the server (echo-message)
+Client.prototype._isEcho = function(message) {
+    return _.contains(this.capabilities, 'echo-message') && this.nickEquals(message.nick, this.nick);
+};
+
+Client.prototype._echoed = function(message) {
+    var target = message.args[0], text = message.args[1] || '';
+    // with stripColors the echo has lost the colors of what was sent
+    var strip = this.opt.stripColors ? ircColors.stripColorsAndStyle : _.identity;
+    var index = _.findIndex(this.pendingMessages, function(pending) {
+        return pending.kind == message.command && strip(pending.text) == text &&
+            this.nickEquals(pending.target, target);
+    }, this);
+    if (index != -1)
+        this.pendingMessages.splice(index, 1);
+    if (message.command == 'PRIVMSG')
+        this.emit('selfMessage', target, text, message);
+};
+
+// The oldest message pending delivery to target was refused by the server
+Client.prototype._dropPendingMessage = function(target, reason, message) {
+    var index = _.findIndex(this.pendingMessages, function(pending) {
+        return this.nickEquals(pending.target, target);
+    }, this);
+    if (index == -1)
+        return;
+    var pending = this.pendingMessages.splice(index, 1)[0];
+    this.emit('messageDropped', pending.target, pending.text, reason, message);
+};
+
 Client.prototype.whois = function(nick, callback) {
+    var self = this;
+    var promise = self._awaitReply({
+        event: 'whois',
+        accept: function(info) { return this.nickEquals(info.nick, nick); },
+        errors: ['err_nosuchnick'],
+        target: nick,
+        description: 'WHOIS ' + nick
+    });
+    if (self._canLabel()) {
+        // the whois event is still emitted as the replies are handled
+        self._request(['WHOIS', nick]).then(function(messages) {
+            if (typeof callback === 'function')
+                callback.call(self, self._whoisFromReplies(nick, messages));
+        }, function() {
+            // on a timeout or disconnect, what little information there is
+            if (typeof callback === 'function')
+                callback.call(self, self._clearWhoisData(nick));
+        });
+        return promise;
+    }
     if (typeof callback === 'function') {
         var callbackWrapper = function(info) {
-            if (info.nick.toLowerCase() == nick.toLowerCase()) {
+            if (this.nickEquals(info.nick, nick)) {
                 this.removeListener('whois', callbackWrapper);
                 return callback.apply(this, arguments);
             }
@@ -1109,12 +2183,40 @@ Client.prototype.whois = function(nick, callback) {
         this.addListener('whois', callbackWrapper);
     }
     this.send('WHOIS', nick);
+    return promise;
 };
 
 Client.prototype.list = function() {
+    var self = this;
     var args = Array.prototype.slice.call(arguments, 0);
     args.unshift('LIST');
+    var promise = self._awaitReply({event: 'channellist', description: 'LIST'});
+    if (self._canLabel()) {
+        self._request(args, {handlesReplies: true}).then(function(messages) {
+            self.channellist = [];
+            self.emit('channellist_start');
+            _.each(messages, function(message) {
+                if (message.command != 'rpl_list') return;
+                var channel = channelListItem(message);
+                self.emit('channellist_item', channel);
+                self.channellist.push(channel);
+            });
+            self.emit('channellist', self.channellist);
+        }, noop);
+        return promise;
+    }
     this.send.apply(this, args);
+    return promise;
+};
+
+// Gather what WHOIS replies told us about nick
+Client.prototype._whoisFromReplies = function(nick, messages) {
+    var info = {nick: nick};
+    _.each(messages, function(message) {
+        if (whoisReplies[message.command])
+            _.extend(info, whoisReplies[message.command](message.args));
+    });
+    return info;
 };
 
 Client.prototype._addWhoisData = function(nick, key, value, onlyIfExists) {
@@ -1135,15 +2237,19 @@ Client.prototype._addWhoData = function(data) {
     this._who.data.push(data);
 };
 
-Client.prototype._clearWhoData = function(target) {
-    var users = [], user = {},
-        data = this._who.data;
+Client.prototype._clearWhoData = function() {
+    var data = this._who.data;
     this._who.data = [];
-    if (!data.length)
-        return [];
+    return this._parseWhoData(data, this._who.queue.shift() || this._who.format);
+};
 
-    var format = this._who.queue.shift().slice(1).split('');
-    var fields = _.values(_.pick(this._who.fields, format));
+// Turn the fields of WHO replies into user objects. Returns undefined if
+// there are none, or they don't match the format the WHO was sent with
+Client.prototype._parseWhoData = function(data, format) {
+    var users = [], user = {};
+    if (!data.length)
+        return;
+    var fields = _.values(_.pick(this._who.fields, format.slice(1).split('')));
 
     if (!this.supported.whox) {
         // fix 'hops' and 'realname' getting combined into the last field in default /WHO output
@@ -1157,16 +2263,108 @@ Client.prototype._clearWhoData = function(target) {
     if (fields.length != data[0].length) {
         if (this.opt.debug)
             util.log('WHO RECV: returned fields do not match requested fields');
-        return [];
+        return;
     }
     _.each(data, function(d) {
         user = _.object(fields, d);
         users.push(user);
     });
-    return [target, users];
+    return users;
+};
+
+Client.prototype._whoDone = function(target, users) {
+    if (this.chanData(target)) {
+        if (users && users.length)
+            this._addWhoDataToChan(target, users);
+        this.emit('who' + target, users);
+    }
+    this.emit('who', target, users);
+};
+
+// Modes holding a list of masks, CHANMODES type A
+Client.prototype._isListMode = function(mode) {
+    return _.contains(this.supported.channel.modes.a, mode);
+};
+
+// Channel modes by CHANMODES type, for parseModeString()
+Client.prototype._modeTypes = function() {
+    return _.extend({prefix: _.keys(this.prefixForMode).join('')}, this.supported.channel.modes);
+};
+
+Client.prototype._applyChanMode = function(chan, mode, adding, param) {
+    if (adding) {
+        if (chan.mode.indexOf(mode) === -1)
+            chan.mode += mode;
+        if (param !== undefined)
+            chan.modeParams[mode] = param;
+    }
+    else {
+        chan.mode = chan.mode.replace(mode, '');
+        delete chan.modeParams[mode];
+    }
+};
+
+// <channel> <mask> [<set by> <set at>], quiet lists have the mode before the mask
+Client.prototype._addModeListEntry = function(message) {
+    var args = message.args.slice(1);
+    var mode = listModeReplies[message.command];
+    if (message.command == 'rpl_quietlist')
+        mode = args.splice(1, 1)[0];
+    var key = this.caseFold(args[0]) + ' ' + mode;
+    this._modeListData[key] = this._modeListData[key] || [];
+    this._modeListData[key].push({
+        mask:  args[1],
+        setBy: args[2] || null,
+        setAt: args[3] ? new Date(parseInt(args[3], 10) * 1000) : null
+    });
+};
+
+Client.prototype._endModeList = function(message) {
+    var channel = message.args[1];
+    var mode = (message.command == 'rpl_endofquietlist') ? message.args[2] : listModeReplies[message.command];
+    var key = this.caseFold(channel) + ' ' + mode;
+    var entries = this._modeListData[key] || [];
+    delete this._modeListData[key];
+    var chan = this.chanData(channel);
+    if (chan)
+        chan.lists[mode] = entries;
+    this.emit('modelist', channel, mode, entries, message);
+};
+
+// A mask added to or removed from a list mode by a MODE change
+Client.prototype._updateModeList = function(chan, mode, adding, mask, message) {
+    var channel = message.args[0];
+    var list = chan.lists[mode] = chan.lists[mode] || [];
+    var index = _.findIndex(list, function(entry) {
+        return this.caseFold(entry.mask) == this.caseFold(mask);
+    }, this);
+    var entry;
+    if (adding) {
+        entry = {mask: mask, setBy: message.nick || message.prefix, setAt: message.time};
+        if (index == -1)
+            list.push(entry);
+        this.emit('modelist-add', channel, mode, entry, message);
+    }
+    else {
+        entry = (index == -1) ? {mask: mask, setBy: null, setAt: null} : list.splice(index, 1)[0];
+        this.emit('modelist-remove', channel, mode, entry, message);
+    }
 };
 
 Client.prototype.who = function(target, format) {
+    var promise = this._awaitReply({
+        event: 'who',
+        accept: function(whoTarget) { return this.nickEquals(whoTarget, target); },
+        resolveWith: function(whoTarget, users) { return users || []; },
+        description: 'WHO ' + target
+    });
+    this._sendWho(target, format);
+    return promise;
+};
+
+// Send a WHO, emitting who events once the replies are in. Returns the
+// fields requested, sorted the way the server returns them
+Client.prototype._sendWho = function(target, format) {
     var sortFormat = this._who.format;
     format = format || '';
     if ( format && format != 'o' && (format[0] != '%' || !this.supported.whox) ) {
@@ -1177,11 +2375,26 @@ Client.prototype.who = function(target, format) {
     else if (format[0] == '%')
         format = sortFormat = '%' + _.intersection(_.keys(this._who.fields).join(''), format.slice(1)).join('');
 
+    var args = format ? ['WHO', target, format] : ['WHO', target];
+    if (this._canLabel()) {
+        var self = this;
+        this._request(args, {handlesReplies: true}).then(function(messages) {
+            var data = _.chain(messages)
+                            .filter(function(message) {
+                                return message.command == 'rpl_whoreply' || message.command == '354';
+                            })
+                            .map(function(message) {
+                                return message.args.slice(1);
+                            })
+                            .value();
+            self._whoDone(target, self._parseWhoData(data, sortFormat));
+        }, function() {
+            self._whoDone(target);
+        });
+        return sortFormat;
+    }
     this._who.queue.push(sortFormat);
-    if (format)
-        this.send('WHO', target, format);
-    else
-        this.send('WHO', target);
+    this.send.apply(this, args);
     return sortFormat;
 };
 
@@ -1209,31 +2422,214 @@ Client.prototype._addWhoDataToChan = function(target, data) {
             else
                 user.isRegistered = true;
 
-        users[nick] = _.pick(user, ['username', 'host', 'away', 'modes', 'account', 'isRegistered']);
+        users[nick] = _.pick(user, ['username', 'host', 'realname', 'away', 'modes', 'account', 'isRegistered']);
     });
-    if (this.chanData(target)) {
-        var channel = target;
-        this.chans[channel].users = users;
+    var chan = this.chanData(target);
+    if (chan) {
+        var channel = chan.key;
+        var oldUsers = chan.users;
+        _.each(users, function(user, nick) {
+            // WHO only tells whether the user is away, not why
+            var oldUser = oldUsers[this._findNick(oldUsers, nick)];
+            if (user.away && oldUser && oldUser.awayMessage)
+                user.awayMessage = oldUser.awayMessage;
+        }, this);
+        chan.users = users;
         var syncStart = this.syncChans[channel];
         if (syncStart) {
             delete this.syncChans[channel];
             var syncEnd = _.now();
             var syncTime = (syncEnd - syncStart) / 1000; // secs.ms
-            this.emit('joinsync', channel, syncTime);
-            this.emit('joinsync' + channel, syncTime);
+            this.emit('joinsync', target, syncTime);
+            this.emit('joinsync' + target, syncTime);
             if (this.opt.debug)
                 util.log('Channel data synced in ' + syncTime + ' seconds');
         }
     } else {
         _.each(users, function(data, nick) {
             _.each(this.nickInChannels(nick), function(chan) {
-                user = this.chans[chan].users[nick];
+                var users = this.chans[chan].users;
+                var user = users[this._findNick(users, nick)];
                 user = _.extend(user, _.omit(data, 'modes'));
-            });
+                if (!user.away)
+                    delete user.awayMessage;
+            }, this);
         }, this);
     }
 };
 
+Client.prototype._endBatch = function(batch) {
+    this.emit('batch', batch);
+    switch (batch.type) {
+        case 'netsplit':
+        case 'netjoin':
+            // params are the two servers, messages the QUITs or JOINs
+            var command = (batch.type == 'netsplit') ? 'QUIT' : 'JOIN';
+            var nicks = _.chain(batch.messages)
+                            .filter({command: command})
+                            .pluck('nick')
+                            .uniq()
+                            .value();
+            this.emit(batch.type, batch.params[0], batch.params[1], nicks, batch);
+            break;
+        case 'chathistory':
+        case 'draft/chathistory-targets':
+            this.history._handleBatch(batch);
+            break;
+        case 'labeled-response':
+            this._finishRequest(batch.tags.label, null, batch.messages);
+            break;
+        case 'draft/multiline':
+            var message = this._multilineMessage(batch);
+            if (message && !this._inHistoryBatch(batch))
+                this._handleChat(message);
+            break;
+    }
+};
+
+// Whether batch is part of the reply to a client.history query
+Client.prototype._inHistoryBatch = function(batch) {
+    for (; batch; batch = batch.parent) {
+        if (batch.request)
+            return true;
+    }
+    return false;
+};
+
+Client.prototype._inCollectedBatch = function(batch) {
+    return batch.type == 'draft/multiline' || this._inHistoryBatch(batch);
+};
+
+/*
+ * Promise of the server's reply to a command. It resolves with the result of
+ * resolveWith (by default the first argument) for the first event accept()
+ * holds for, and rejects on one of the error numerics about target, on one of
+ * failEvents or after requestTimeout. Rejections needn't be handled, so
+ * callers using callbacks can ignore the promise.
+ */
+Client.prototype._awaitReply = function(options) {
+    var self = this;
+    var wait = _.extend({
+        errors: [],
+        failEvents: [],
+        accept: function() { return true; },
+        resolveWith: _.identity
+    }, options);
+    var promise = wait.promise = new Promise(function(resolve, reject) {
+        wait.resolve = resolve;
+        wait.reject = reject;
+    });
+    wait.listener = function() {
+        if (wait.accept.apply(self, arguments))
+            self._settleReply(wait, null, wait.resolveWith.apply(self, arguments));
+    };
+    wait.failListener = function() {
+        self._settleReply(wait, new Error(wait.description + ' failed'));
+    };
+    self.on(wait.event, wait.listener);
+    _.each(wait.failEvents, function(event) {
+        self.on(event, wait.failListener);
+    });
+    wait.timer = setTimeout(function() {
+        self._settleReply(wait, new Error(wait.description + ' timed out'));
+    }, self.opt.requestTimeout);
+    if (wait.timer.unref)
+        wait.timer.unref();
+    self._awaiting.push(wait);
+    promise.then(null, noop);
+    return promise;
+};
+
+Client.prototype._settleReply = function(wait, err, result) {
+    var index = this._awaiting.indexOf(wait);
+    if (index == -1)
+        return;
+    this._awaiting.splice(index, 1);
+    clearTimeout(wait.timer);
+    this.removeListener(wait.event, wait.listener);
+    _.each(wait.failEvents, function(event) {
+        this.removeListener(event, wait.failListener);
+    }, this);
+    if (err)
+        wait.reject(err);
+    else
+        wait.resolve(result);
+};
+
+Client.prototype._canLabel = function() {
+    return _.contains(this.capabilities, 'labeled-response');
+};
+
+/**
+ * Send a command with a label (labeled-response), to get its replies
+ * @param {string} command - The command, followed by its arguments
+ * @return {Promise} Resolves with the reply lines once they are all in
+ */
+Client.prototype.request = function(command) {
+    return this._request(Array.prototype.slice.call(arguments));
+};
+
+// Like request(). With handlesReplies the replies are handed to the caller
+// rather than handled as they come in, see _labeledRequest()
+Client.prototype._request = function(args, options) {
+    var self = this;
+    return new Promise(function(resolve, reject) {
+        if (!self._canLabel()) {
+            reject(new Error('Server does not support labeled-response'));
+            return;
+        }
+        var label = String(++self._lastLabel);
+        var request = _.extend({resolve: resolve, reject: reject}, options);
+        request.timer = setTimeout(function() {
+            self._finishRequest(label, new Error(args[0] + ' timed out'));
+        }, self.opt.requestTimeout);
+        if (request.timer.unref)
+            request.timer.unref();
+        self._requests[label] = request;
+        self.send.apply(self, [{label: label}].concat(args));
+    });
+};
+
+Client.prototype._finishRequest = function(label, err, messages) {
+    var request = this._requests[label];
+    if (!request)
+        return;
+    delete this._requests[label];
+    clearTimeout(request.timer);
+    if (err)
+        request.reject(err);
+    else
+        request.resolve(messages);
+};
+
+// The label of the request message is a reply to, if any
+Client.prototype._labelOf = function(message) {
+    var label = message.tags.label;
+    for (var batch = message.batch; !label && batch; batch = batch.parent) {
+        if (batch.type == 'labeled-response')
+            label = batch.tags.label;
+    }
+    return label;
+};
+
+// The pending request handling the replies message belongs to, if any
+Client.prototype._labeledRequest = function(message) {
+    var label = this._labelOf(message);
+    var request = label && this._requests[label];
+    return (request && request.handlesReplies) ? request : null;
+};
+
+// Whether an error answers one of our requests, such as a WHOIS, rather
+// than a message we sent
+Client.prototype._answersRequest = function(message) {
+    var label = this._labelOf(message);
+    if (label && this._requests[label])
+        return true;
+    return _.some(this._awaiting, function(wait) {
+        return _.contains(wait.errors, message.command) && this.nickEquals(message.args[1], wait.target);
+    }, this);
+};
+
 // Complain if things are not found
 Client.prototype._unknown = function(data, label, unknown) {
     if (data === undefined) {
@@ -1245,6 +2641,53 @@ Client.prototype._unknown = function(data, label, unknown) {
 };
 
 
+// Parse a nick from a NAMES reply into a partial user object. With
+// multi-prefix nicks can have several prefixes, and with userhost-in-names
+// they come as nick!user@host
+Client.prototype._parseNamesEntry = function(entry) {
+    var user = {modes: []};
+    while (entry.length > 1 && entry[0] in this.modeForPrefix) {
+        user.modes.push(entry[0]);
+        entry = entry.slice(1);
+    }
+    var match = entry.match(/^([^!@]+)(?:!([^@]+))?(?:@(.+))?$/);
+    user.nick = match ? match[1] : entry;
+    if (match && match[2])
+        user.username = match[2];
+    if (match && match[3])
+        user.host = match[3];
+    return user;
+};
+
+// Merge a complete NAMES list into the channel's users, keeping what WHO told us
+Client.prototype._addNamesDataToChan = function(channel, names) {
+    var chan = this.chanData(channel);
+    if (!chan)
+        return;
+    var users = {};
+    _.each(names, function(entry, nick) {
+        var user = chan.users[this._findNick(chan.users, nick)] || {};
+        if (entry.modes.length)
+            user.modes = entry.modes;
+        else
+            delete user.modes;
+        if (entry.username && !user.username)
+            user.username = entry.username;
+        if (entry.host && !user.host)
+            user.host = entry.host;
+        users[nick] = user;
+    }, this);
+    // NAMES is the complete list, so anyone missing has left without us noticing
+    chan.users = users;
+};
+
+Client.prototype.names = function(channel, callback) {
+    if (typeof callback == 'function') {
+        this.once('names' + channel, callback);
+    }
+    this.send('NAMES', channel);
+};
+
 Client.prototype._addJoinDataToChan = function(channel, message) {
     if (channel && channel.users) {
         var user = {
@@ -1255,21 +2698,50 @@ Client.prototype._addJoinDataToChan = function(channel, message) {
             user.isRegistered = (message.args[1] != '*');
             if (user.isRegistered)
                 user.account = message.args[1];
+            user.realname = message.args[2];
         }
         channel.users[message.nick] = user;
     }
 
 };
 
+// Update the user object of nick in all channels, returning the channels
+Client.prototype._updateNickData = function(nick, data) {
+    var channels = [];
+    _.each(this.chans, function(cdata, chan) {
+        var key = this._findNick(cdata.users, nick);
+        if (key) {
+            _.extend(cdata.users[key], data);
+            channels.push(chan);
+        }
+    }, this);
+    return channels;
+};
+
+// Update away status of nick in all channels, returning the channels.
+// Without awayMessage the user is back, with true they are away for an
+// unknown reason.
+Client.prototype._updateNickAway = function(nick, awayMessage) {
+    var channels = [];
+    _.each(this.chans, function(cdata, chan) {
+        var user = cdata.users[this._findNick(cdata.users, nick)];
+        if (!user) return;
+        user.away = !!awayMessage;
+        if (typeof awayMessage == 'string')
+            user.awayMessage = awayMessage;
+        else
+            delete user.awayMessage;
+        channels.push(chan);
+    }, this);
+    return channels;
+};
+
 Client.prototype._updateNickAccount = function(nick, account) {
     var data = {};
     data.isRegistered = (account != '*');
     if (data.isRegistered)
         data.account = account;
-    _.each(this.chans, function(cdata, chan) {
-        if (_.has(cdata.users, nick))
-            this.chans[chan].users[nick] = _.extend(cdata.users[nick], data);
-    }, this);
+    this._updateNickData(nick, data);
 };
 
 // Test for mode on user
@@ -1283,7 +2755,7 @@ Client.prototype.userHasChanMode = function(user, mode) {
 Client.prototype.nickHasChanMode = function(nick, mode, channel) {
     var chan = this.chanData(channel);
     if (this._unknown(chan, 'channel', channel)) return false;
-    var user = chan.users[nick];
+    var user = chan.users[this._findNick(chan.users, nick)];
     if (this._unknown(user, 'nick', nick)) return false;
     return this.userHasChanMode(user, mode);
 };
@@ -1374,10 +2846,10 @@ Client.prototype.nickInChannels = function(nick, remove) {
 Client.prototype.nickIsInChannel = function(nick, channel, remove) {
     var chan = this.chanData(channel);
     if (this._unknown(chan, 'channel', channel)) return false;
-    var user = chan.users[nick];
-    if (user) {
+    var key = this._findNick(chan.users, nick);
+    if (key) {
         if (remove !== undefined)
-            delete chan.users[nick];
+            delete chan.users[key];
         return true;
     }
     return false;
@@ -1397,59 +2869,113 @@ Client.prototype.nickToUser = function(nicks, channel) {
         channels = this.chans;
 
     _.each(channels, function(chan, key) {
-        var chanData = _.pick(chan.users, nicks);
+        var chanData;
         if (typeof nicks == 'string') // nicks is actually a single nick
-            chanData = chanData[nicks];
+            chanData = chan.users[this._findNick(chan.users, nicks)];
+        else {
+            chanData = {};
+            _.each(nicks, function(nick) {
+                var user = chan.users[this._findNick(chan.users, nick)];
+                if (user)
+                    chanData[nick] = user;
+            }, this);
+        }
         data[key] = chanData;
     }, this);
     return (channel) ? data[channel] : data;
 };
 
 Client.prototype.setChanMode = function(channel, mode, nicks) {
-    var self = this;
-    if (!self.haveOp(channel)) {
-        if (self.opt.debug)
-            util.log('In Client.setChanMode(): not opped so can\'t set modes');
-        return false;
-    }
-    var chan = self.chanData(channel);
-    if (self._unknown(chan, 'channel', channel)) return false;
+    var chan = this.chanData(channel);
+    if (this._unknown(chan, 'channel', channel)) return false;
     var addsub = mode[0];
     mode = mode[1];
-    if ( !_.contains(['+', '-'], addsub) || !self.prefixForMode[mode] ) {
-        self._unknown(undefined, 'mode', addsub + mode);
+    if ( !_.contains(['+', '-'], addsub) || !this.prefixForMode[mode] ) {
+        this._unknown(undefined, 'mode', addsub + mode);
         return false;
     }
-    var filterFunc = function(user) { return !self.userHasChanMode(user, mode); };
-    if (addsub == '-')
-        filterFunc = _.negate(filterFunc);
     if (typeof nicks == 'string')
         nicks = nicks.split(' ');
-    nicks = _.chain(self.nickToUser(nicks, channel))
-                .pick(filterFunc)
-                .keys()
-                .value();
-    if (nicks.length)
-        nicks = self._chunk(nicks, self.supported.modes); // number of modes allowed per line
-    else
-        return false;
-    _.each(nicks, function(batch) {
-        var modes = addsub + new Array(batch.length + 1).join(mode);
-        var args = ['MODE', channel, modes].concat(batch);
-        if (self.opt.debug)
-            util.log('Sending ' + args.join(' '));
-        self.send.apply(self, args);
+    var builder = this.mode(channel);
+    _.each(nicks, function(nick) {
+        if (addsub == '+')
+            builder.add(mode, nick);
+        else
+            builder.remove(mode, nick);
     });
+    var changes = builder._plan();
+    if (changes instanceof Error || !changes.length) {
+        if (this.opt.debug && changes instanceof Error)
+            util.log('In Client.setChanMode(): ' + changes.message);
+        return false;
+    }
+    builder.commit();
     return true;
 };
 
-// Split array into chunks of max length n
-Client.prototype._chunk = function(list, n) {
-    var chunked = _.chain(list)
-                    .groupBy(function(el, i) { return Math.floor(i / n); })
-                    .toArray()
-                    .value();
-    return chunked;
+// Start a set of channel mode changes, sent with commit(), e.g.
+// client.mode('#chan').add('o', nick).remove('b', mask).set('l', 50).commit()
+Client.prototype.mode = function(channel) {
+    return new ModeBuilder(this, channel);
+};
+
+// Handle a PRIVMSG or NOTICE, including those put back together from multiline batches
+Client.prototype._handleChat = function(message) {
+    if (this._isEcho(message)) {
+        this._echoed(message);
+        return;
+    }
+    var chat = this._chatMessage(message);
+    var from = chat.nick,
+        to = chat.target,
+        text = message.args[1] || '',
+        type = (message.command == 'NOTICE') ? 'notice' : 'privmsg';
+    if (chat.ctcp !== undefined) {
+        this._handleCTCP(from, to, text, type, message);
+        return;
+    }
+
+    if (type == 'notice') {
+        this.emit('notice', from, to, text, message);
+
+        if (this.opt.debug && this.nickEquals(to, this.nick))
+            util.log('GOT NOTICE from ' + (from ? '"' + from + '"' : 'the server') + ': "' + text + '"');
+        return;
+    }
+
+    this.emit('message', from, to, text, message);
+    if (this.supported.channel.types.indexOf(to.charAt(0)) !== -1) {
+        this.emit('message#', from, to, text, message);
+        this.emit('message' + to, from, text, message);
+        if (to != this.caseFold(to)) {
+            this.emit('message' + this.caseFold(to), from, text, message);
+        }
+    }
+    if (this.nickEquals(to, this.nick)) this.emit('pm', from, text, message);
+
+    if (this.opt.debug && this.nickEquals(to, this.nick))
+        util.log('GOT MESSAGE from ' + from + ': ' + text);
+};
+
+// Sender, target and text of a PRIVMSG or NOTICE. For CTCPs, ctcp holds the
+// unwrapped request, and ACTIONs have type 'action' with the action as text
+Client.prototype._chatMessage = function(message) {
+    var chat = {
+        type:   (message.command == 'NOTICE') ? 'notice' : 'privmsg',
+        nick:   message.nick,
+        target: message.args[0] || null,
+        text:   message.args[1] || '',
+        time:   message.time,
+        tags:   message.tags
+    };
+    if (chat.text[0] === '\u0001' && chat.text.lastIndexOf('\u0001') > 0) {
+        chat.ctcp = chat.text.slice(1, chat.text.indexOf('\u0001', 1));
+        if (chat.type == 'privmsg' && chat.ctcp.indexOf('ACTION ') === 0) {
+            chat.type = 'action';
+            chat.text = chat.ctcp.slice(7);
+        }
+    }
+    return chat;
 };
 
 Client.prototype._handleCTCP = function(from, to, text, type, message) {
@@ -1470,6 +2996,17 @@ Client.prototype.ctcp = function(to, type, text) {
     return this[type === 'privmsg' ? 'say' : 'notice'](to, '\u0001' + text + '\u0001');
 };
 
+// Prefer the IRCv3 server-time tag (e.g. history replayed by a bouncer),
+// falling back to the time we received the line
+Client.prototype._messageTime = function(message) {
+    if (message.tags && message.tags.time) {
+        var time = new Date(message.tags.time);
+        if (!isNaN(time.getTime()))
+            return time;
+    }
+    return new Date();
+};
+
 Client.prototype.convertEncoding = function(str) {
     var self = this, out = str;
 
@@ -1495,5 +3032,11 @@ Client.prototype.convertEncoding = function(str) {
 Client.prototype._updateMaxLineLength = function() {
     // 497 = 510 - (":" + "!" + " PRIVMSG " + " :").length;
     // target is determined in _speak() and subtracted there
-    this.maxLineLength = 497 - this.nick.length - this.hostMask.length;
+    this.maxLineLength = 497 - this._byteLength(this.nick) - this._byteLength(this.hostMask);
+};
+
+// Our user@host as others see it, which servers prefix our messages with
+Client.prototype._setHostMask = function(user, host) {
+    this.hostMask = user + '@' + host;
+    this._updateMaxLineLength();
 };
@@ -0,0 +1,176 @@
+var _ = require('lodash');
+var parseModeString = require('./parse_modes');
+
+/*
+ * Collects channel mode changes to send them together, see Client.mode().
+ *
+ * On commit, changes that wouldn't change anything according to what the
+ * client knows of the channel are left out, the rest go in as few MODE
+ * lines as ISUPPORT MODES allows, and the promise returned resolves once
+ * the server has sent back a MODE for each line.
+ */
+
+function ModeBuilder(client, channel) {
+    this.client = client;
+    this.channel = channel;
+    this._changes = [];
+}
+
+ModeBuilder.prototype.add = function(mode, param) {
+    this._changes.push({adding: true, mode: mode, param: param});
+    return this;
+};
+
+ModeBuilder.prototype.remove = function(mode, param) {
+    this._changes.push({adding: false, mode: mode, param: param});
+    return this;
+};
+
+// Set a mode's value, like the limit with set('l', 50), or unset it with null
+ModeBuilder.prototype.set = function(mode, value) {
+    if (value === null || value === undefined || value === false)
+        return this.remove(mode);
+    return this.add(mode, (value === true) ? undefined : String(value));
+};
+
+// The changes to send as {adding, mode, param}, or an Error if they can't be
+ModeBuilder.prototype._plan = function() {
+    var client = this.client;
+    var chan = client.chanData(this.channel);
+    var types = client._modeTypes();
+    var seen = {};
+
+    var changes = [];
+    for (var i = 0; i < this._changes.length; i++) {
+        var change = _.clone(this._changes[i]);
+        var takesParam = parseModeString.takesParam(change.mode, change.adding, types);
+        if (!takesParam) {
+            delete change.param;
+        }
+        else if (change.param === undefined) {
+            // keys have to be given to be removed, but servers take any
+            if (change.mode == 'k' && !change.adding)
+                change.param = (chan && chan.modeParams.k) || '*';
+            else
+                return new Error('Mode ' + change.mode + ' needs a parameter');
+        }
+
+        // the same mode and parameter only counts once, the last change wins
+        var key = change.mode + ' ' + client.caseFold(String(change.param));
+        if (_.has(seen, key))
+            changes.splice(changes.indexOf(seen[key]), 1);
+        seen[key] = change;
+        changes.push(change);
+    }
+
+    if (!chan)
+        return changes;
+    changes = _.reject(changes, function(change) {
+        return this._isNoop(chan, change);
+    }, this);
+    return this._checkPrivileges(chan, changes) || changes;
+};
+
+// Whether change is already in effect
+ModeBuilder.prototype._isNoop = function(chan, change) {
+    var client = this.client;
+    if (change.mode in client.prefixForMode) {
+        var user = chan.users[client._findNick(chan.users, change.param)];
+        // users who aren't there can't be given modes
+        return !user || change.adding == client.userHasChanMode(user, change.mode);
+    }
+    if (client._isListMode(change.mode)) {
+        var list = chan.lists[change.mode];
+        if (!list)
+            return false;
+        var listed = _.some(list, function(entry) {
+            return client.caseFold(entry.mask) == client.caseFold(change.param);
+        });
+        return change.adding == listed;
+    }
+    var isSet = chan.mode.indexOf(change.mode) != -1;
+    if (change.adding && isSet && change.param !== undefined)
+        return chan.modeParams[change.mode] == change.param;
+    return change.adding == isSet;
+};
+
+// Giving or taking a user's prefix takes at least that prefix, other changes
+// (and voice) take halfop, or op where there are no halfops
+ModeBuilder.prototype._checkPrivileges = function(chan, changes) {
+    var client = this.client;
+    var ranks = _.keys(client.prefixForMode);
+    var me = chan.users[client._findNick(chan.users, client.nick)];
+    if (!me || !ranks.length || !changes.length)
+        return;
+    var ours = _.min(_.map(me.modes, function(prefix) {
+        return ranks.indexOf(client.modeForPrefix[prefix]);
+    }));
+    var minimum = ranks.indexOf(_.contains(ranks, 'h') ? 'h' : 'o');
+    var needed = _.min(_.map(changes, function(change) {
+        var rank = ranks.indexOf(change.mode);
+        return (rank == -1) ? minimum : Math.min(rank, minimum);
+    }));
+    if (ours > needed)
+        return new Error('Need ' + client.prefixForMode[ranks[needed]] + ' to change modes on ' + this.channel);
+};
+
+// MODE lines with at most MODES parameters each
+ModeBuilder.prototype._lines = function(changes) {
+    var maxParams = this.client.supported.modes || 3;
+    var lines = [], line;
+    _.each(changes, function(change) {
+        var hasParam = change.param !== undefined;
+        if (!line || (hasParam && line.params.length >= maxParams)) {
+            line = {modes: '', sign: '', params: []};
+            lines.push(line);
+        }
+        var sign = change.adding ? '+' : '-';
+        if (line.sign != sign)
+            line.modes += line.sign = sign;
+        line.modes += change.mode;
+        if (hasParam)
+            line.params.push(change.param);
+    });
+    return _.map(lines, function(line) {
+        return [line.modes].concat(line.params);
+    });
+};
+
+// Send the changes. Resolves with the changes the server made, as
+// parseModeString() gives them, or rejects on error replies.
+ModeBuilder.prototype.commit = function() {
+    var self = this, client = this.client;
+    var changes = this._plan();
+    this._changes = [];
+    if (changes instanceof Error) {
+        var rejected = Promise.reject(changes);
+        rejected.then(null, _.noop);
+        return rejected;
+    }
+    if (!changes.length)
+        return Promise.resolve([]);
+
+    var lines = this._lines(changes);
+    var pending = lines.length;
+    var confirmed = [];
+    var promise = client._awaitReply({
+        event: 'raw',
+        accept: function(message) {
+            if (message.command != 'MODE' || !client.nickEquals(message.nick, client.nick) ||
+                !client.nickEquals(message.args[0], self.channel))
+                return false;
+            confirmed = confirmed.concat(parseModeString(message.args[1], message.args.slice(2), client._modeTypes()));
+            return --pending === 0;
+        },
+        resolveWith: function() { return confirmed; },
+        errors: ['err_chanoprivsneeded', 'err_notonchannel', 'err_nosuchchannel'],
+        target: this.channel,
+        description: 'Setting modes on ' + this.channel
+    });
+    _.each(lines, function(line) {
+        client.send.apply(client, ['MODE', self.channel].concat(line));
+    });
+    return promise;
+};
+
+exports.ModeBuilder = ModeBuilder;
@@ -0,0 +1,203 @@
+var _ = require('lodash');
+
+/*
+ * Watch list of nicks, notified through the MONITOR command where the server
+ * supports it (up to its ISUPPORT MONITOR limit) and by polling with ISON
+ * otherwise. The client emits 'online' and 'offline' as nicks come and go.
+ *
+ * The list survives reconnects; it is sent to the server again once the MOTD
+ * is over, when ISUPPORT is known.
+ */
+
+// Keep MONITOR and ISON lines well within the 512 byte limit
+var maxTargetsLength = 400;
+
+function Monitor(client) {
+    var self = this;
+    self.client = client;
+    self._nicks = {};      // casefolded nick -> {nick, online}
+    self._monitored = {};  // casefolded nicks the server is watching for us
+    self._isonQueue = [];  // nicks of each ISON sent and not yet answered
+    self._isonTimer = null;
+    self._ready = false;
+
+    client.addListener('motd', function() {
+        self._sync();
+    });
+}
+
+function toList(nicks) {
+    return _.compact(typeof nicks == 'string' ? nicks.split(',') : nicks);
+}
+
+// Join nicks with separator into groups that fit in a line
+function chunk(nicks, separator) {
+    var chunks = [], current = '';
+    _.each(nicks, function(nick) {
+        if (current && current.length + separator.length + nick.length > maxTargetsLength) {
+            chunks.push(current);
+            current = '';
+        }
+        current += (current ? separator : '') + nick;
+    });
+    if (current)
+        chunks.push(current);
+    return chunks;
+}
+
+Monitor.prototype.add = function(nicks) {
+    var added = [];
+    _.each(toList(nicks), function(nick) {
+        var key = this.client.caseFold(nick);
+        if (_.has(this._nicks, key)) return;
+        this._nicks[key] = {nick: nick, online: null};
+        added.push(nick);
+    }, this);
+    if (this._ready && added.length) {
+        this._monitor(added);
+        this._updatePolling();
+    }
+    return added;
+};
+
+Monitor.prototype.remove = function(nicks) {
+    var removed = [], unmonitor = [];
+    _.each(toList(nicks), function(nick) {
+        var key = this.client.caseFold(nick);
+        if (!_.has(this._nicks, key)) return;
+        removed.push(this._nicks[key].nick);
+        delete this._nicks[key];
+        if (this._monitored[key]) {
+            delete this._monitored[key];
+            unmonitor.push(nick);
+        }
+    }, this);
+    if (this._ready) {
+        _.each(chunk(unmonitor, ','), function(targets) {
+            this.client.send('MONITOR', '-', targets);
+        }, this);
+        this._updatePolling();
+    }
+    return removed;
+};
+
+Monitor.prototype.clear = function() {
+    this._nicks = {};
+    this._monitored = {};
+    if (this._ready && this.client.isupportHas('MONITOR'))
+        this.client.send('MONITOR', 'C');
+    this._updatePolling();
+};
+
+Monitor.prototype.list = function() {
+    return _.pluck(_.values(this._nicks), 'nick');
+};
+
+// true if nick is online, false if offline, null if not known yet and
+// undefined if nick is not being watched
+Monitor.prototype.status = function(nick) {
+    var entry = this._nicks[this.client.caseFold(nick)];
+    return entry ? entry.online : undefined;
+};
+
+// Send MONITOR + for as many nicks as the server's limit allows
+Monitor.prototype._monitor = function(nicks) {
+    if (!this.client.isupportHas('MONITOR'))
+        return;
+    var limit = this.client.isupportNumber('MONITOR', Infinity);
+    var room = limit - _.size(this._monitored);
+    nicks = _.take(nicks, Math.max(room, 0));
+    _.each(nicks, function(nick) {
+        this._monitored[this.client.caseFold(nick)] = true;
+    }, this);
+    _.each(chunk(nicks, ','), function(targets) {
+        this.client.send('MONITOR', '+', targets);
+    }, this);
+};
+
+Monitor.prototype._sync = function() {
+    this._stop();
+    this._ready = true;
+    _.each(this._nicks, function(entry) {
+        entry.online = null;
+    });
+    this._monitor(this.list());
+    this._updatePolling();
+};
+
+// Poll with ISON while some nicks aren't covered by MONITOR
+Monitor.prototype._updatePolling = function() {
+    var self = this;
+    if (!self._ready || _.isEmpty(self._unmonitored())) {
+        clearInterval(self._isonTimer);
+        self._isonTimer = null;
+        return;
+    }
+    if (self._isonTimer)
+        return;
+    self._isonTimer = setInterval(function() {
+        self._poll();
+    }, self.client.opt.isonInterval);
+    if (self._isonTimer.unref)
+        self._isonTimer.unref();
+    self._poll();
+};
+
+Monitor.prototype._unmonitored = function() {
+    return _.filter(this.list(), function(nick) {
+        return !this._monitored[this.client.caseFold(nick)];
+    }, this);
+};
+
+Monitor.prototype._poll = function() {
+    // don't pile up queries on a slow server
+    if (this._isonQueue.length)
+        return;
+    _.each(chunk(this._unmonitored(), ' '), function(nicks) {
+        this._isonQueue.push(nicks.split(' '));
+        this.client.send('ISON', nicks);
+    }, this);
+};
+
+Monitor.prototype._stop = function() {
+    this._ready = false;
+    this._monitored = {};
+    this._isonQueue = [];
+    clearInterval(this._isonTimer);
+    this._isonTimer = null;
+};
+
+Monitor.prototype._setStatus = function(nick, online, message) {
+    var entry = this._nicks[this.client.caseFold(nick)];
+    if (!entry || entry.online === online)
+        return;
+    entry.online = online;
+    this.client.emit(online ? 'online' : 'offline', entry.nick, message);
+};
+
+// RPL_MONONLINE and RPL_MONOFFLINE, targets may be nick!user@host
+Monitor.prototype._handleStatus = function(targets, online, message) {
+    _.each(toList(targets), function(target) {
+        this._setStatus(target.split('!')[0], online, message);
+    }, this);
+};
+
+// ERR_MONLISTFULL, the server wouldn't watch targets so poll for them instead
+Monitor.prototype._handleListFull = function(targets) {
+    _.each(toList(targets), function(nick) {
+        delete this._monitored[this.client.caseFold(nick)];
+    }, this);
+    this._updatePolling();
+};
+
+Monitor.prototype._handleIson = function(reply, message) {
+    var nicks = this._isonQueue.shift();
+    if (!nicks)
+        return;
+    var online = _.map(_.compact(reply.split(' ')), this.client.caseFold, this.client);
+    _.each(nicks, function(nick) {
+        this._setStatus(nick, _.contains(online, this.client.caseFold(nick)), message);
+    }, this);
+};
+
+exports.Monitor = Monitor;
@@ -1,6 +1,91 @@
 var ircColors = require('irc-colors');
 var replyFor = require('./codes');
 
+var tagEscapes = {
+    ':': ';',
+    s: ' ',
+    '\\': '\\',
+    r: '\r',
+    n: '\n'
+};
+
+var tagValueEscapes = {
+    ';': '\\:',
+    ' ': '\\s',
+    '\\': '\\\\',
+    '\r': '\\r',
+    '\n': '\\n'
+};
+
+/**
+ * unescapeTagValue(value)
+ *
+ * reverses the IRCv3 message-tags value escaping. Unknown escapes drop the
+ * backslash, and a trailing lone backslash is discarded.
+ * @param {String} value Escaped tag value.
+ * @return {String} The unescaped value.
+ */
+function unescapeTagValue(value) {
+    return value.replace(/\\(.?)/g, function(match, chr) {
+        return tagEscapes.hasOwnProperty(chr) ? tagEscapes[chr] : chr;
+    });
+}
+
+/**
+ * parseTags(raw)
+ *
+ * turns the tags section of a line (without the leading "@") into an object.
+ * Keys are kept verbatim, so client-only tags keep their "+" and vendor tags
+ * their "vendor/" prefix. Tags without a value get an empty string.
+ * @param {String} raw Raw tags from the IRC server.
+ * @return {Object} Tag values keyed by tag name.
+ */
+function parseTags(raw) {
+    var tags = {};
+    raw.split(';').forEach(function(tag) {
+        if (!tag.length) return;
+        var eq = tag.indexOf('=');
+        if (eq === -1) {
+            tags[tag] = '';
+        }
+        else {
+            tags[tag.slice(0, eq)] = unescapeTagValue(tag.slice(eq + 1));
+        }
+    });
+    return tags;
+}
+
+/**
+ * escapeTagValue(value)
+ *
+ * applies the IRCv3 message-tags value escaping, for sending tags.
+ * @param {String} value Tag value.
+ * @return {String} The escaped value.
+ */
+function escapeTagValue(value) {
+    return String(value).replace(/[\\; \r\n]/g, function(chr) {
+        return tagValueEscapes[chr];
+    });
+}
+
+/**
+ * formatTags(tags)
+ *
+ * turns an object of tags into the tags section of a line, with the leading
+ * "@". Tags with a value of '', true, null or undefined are sent without one.
+ * @param {Object} tags Tag values keyed by tag name.
+ * @return {String} The tags section, or '' if there are no tags.
+ */
+function formatTags(tags) {
+    var raw = Object.keys(tags).map(function(key) {
+        var value = tags[key];
+        if (value === '' || value === true || value === null || value === undefined)
+            return key;
+        return key + '=' + escapeTagValue(value);
+    });
+    return raw.length ? '@' + raw.join(';') : '';
+}
+
 /**
  * parseMessage(line, stripColors)
  *
@@ -18,6 +103,14 @@ module.exports = function parseMessage(line, stripColors) {
         line = ircColors.stripColorsAndStyle(line);
     }
 
+    // Parse IRCv3 message tags
+    message.tags = {};
+    match = line.match(/^@([^ ]*) +/);
+    if (match) {
+        message.tags = parseTags(match[1]);
+        line = line.slice(match[0].length);
+    }
+
     // Parse prefix
     match = line.match(/^:([^ ]+) +/);
     if (match) {
@@ -39,7 +132,7 @@ module.exports = function parseMessage(line, stripColors) {
     message.command = match[1];
     message.rawCommand = match[1];
     message.commandType = 'normal';
-    line = line.replace(/^[^ ]+ +/, '');
+    line = line.replace(/^[^ ]+ */, '');
 
     if (replyFor[message.rawCommand]) {
         message.command     = replyFor[message.rawCommand].name;
@@ -66,4 +159,9 @@ module.exports = function parseMessage(line, stripColors) {
         message.args.push(trailing);
 
     return message;
-}
+};
+
+module.exports.parseTags = parseTags;
+module.exports.unescapeTagValue = unescapeTagValue;
+module.exports.escapeTagValue = escapeTagValue;
+module.exports.formatTags = formatTags;
@@ -0,0 +1,39 @@
+/**
+ * parseModeString(modeString, params, types)
+ *
+ * splits a mode change like "+ov-l nick1 nick2" into the single modes it is
+ * made of, giving each mode its parameter according to its ISUPPORT
+ * CHANMODES type: type A (lists) and B always take one, C only when set and
+ * D never. Modes in types.prefix (user prefixes such as o and v) take a nick.
+ * Modes of no known type take no parameter.
+ * @param {String} modeString Modes being set with + and unset with -.
+ * @param {Array} params The parameters following modeString.
+ * @param {Object} types Modes of each type as strings keyed a, b, c, d and prefix.
+ * @return {Array} {adding, mode, param} objects, param undefined if there is none.
+ */
+module.exports = function parseModeString(modeString, params, types) {
+    var changes = [];
+    var adding = true;
+    var index = 0;
+
+    modeString.split('').forEach(function(mode) {
+        if (mode == '+' || mode == '-') {
+            adding = (mode == '+');
+            return;
+        }
+        var param;
+        if (takesParam(mode, adding, types) && index < params.length)
+            param = params[index++];
+        changes.push({adding: adding, mode: mode, param: param});
+    });
+    return changes;
+};
+
+// Whether mode takes a parameter when set (adding) or unset
+function takesParam(mode, adding, types) {
+    function isType(type) {
+        return (types[type] || '').indexOf(mode) != -1;
+    }
+    return isType('prefix') || isType('a') || isType('b') || (adding && isType('c'));
+}
+module.exports.takesParam = takesParam;
@@ -0,0 +1,120 @@
+var crypto = require('crypto');
+
+/*
+ * SASL mechanisms for the AUTHENTICATE exchange.
+ *
+ * Each mechanism is constructed with the credentials to use and answers the
+ * server's challenges through respond(challenge), where challenge is the
+ * decoded Buffer sent by the server (empty for "AUTHENTICATE +"). respond()
+ * returns the Buffer to send back, or null to abort the exchange.
+ */
+
+function Plain(user, password) {
+    this.user = user;
+    this.password = password;
+}
+
+Plain.prototype.respond = function() {
+    return new Buffer(this.user + '\0' + this.user + '\0' + this.password);
+};
+
+// The credentials are the client TLS certificate (see the `secure` option),
+// so there is nothing to send beyond an empty authorization identity.
+function External() {}
+
+External.prototype.respond = function() {
+    return new Buffer('');
+};
+
+// RFC 5802 / RFC 7677
+function ScramSha256(user, password) {
+    this.user = user;
+    this.password = password;
+    this.nonce = crypto.randomBytes(18).toString('base64');
+    this.step = 0;
+}
+
+ScramSha256.prototype.respond = function(challenge) {
+    var self = this;
+    var attrs;
+
+    switch (self.step++) {
+        case 0:
+            self.clientFirstBare = 'n=' + saslName(self.user) + ',r=' + self.nonce;
+            return new Buffer('n,,' + self.clientFirstBare);
+        case 1:
+            var serverFirst = challenge.toString();
+            attrs = parseAttributes(serverFirst);
+            if (!attrs.r || attrs.r.indexOf(self.nonce) !== 0 || !attrs.s || !attrs.i)
+                return null;
+
+            var clientFinalBare = 'c=biws,r=' + attrs.r;
+            var authMessage = self.clientFirstBare + ',' + serverFirst + ',' + clientFinalBare;
+            var saltedPassword = crypto.pbkdf2Sync(self.password, new Buffer(attrs.s, 'base64'),
+                                                   parseInt(attrs.i), 32, 'sha256');
+            var clientKey = hmac(saltedPassword, 'Client Key');
+            var storedKey = crypto.createHash('sha256').update(clientKey).digest();
+            var clientSignature = hmac(storedKey, authMessage);
+            var proof = new Buffer(clientKey.length);
+            for (var i = 0; i < clientKey.length; i++) {
+                proof[i] = clientKey[i] ^ clientSignature[i];
+            }
+            self.serverSignature = hmac(hmac(saltedPassword, 'Server Key'), authMessage).toString('base64');
+            return new Buffer(clientFinalBare + ',p=' + proof.toString('base64'));
+        case 2:
+            // verify the server knows the password too before going any further
+            attrs = parseAttributes(challenge.toString());
+            if (attrs.v !== self.serverSignature)
+                return null;
+            return new Buffer('');
+        default:
+            return null;
+    }
+};
+
+function saslName(name) {
+    return name.replace(/=/g, '=3D').replace(/,/g, '=2C');
+}
+
+function parseAttributes(str) {
+    var attrs = {};
+    str.split(',').forEach(function(attr) {
+        var eq = attr.indexOf('=');
+        if (eq > 0)
+            attrs[attr.slice(0, eq)] = attr.slice(eq + 1);
+    });
+    return attrs;
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * encode(response)
+ *
+ * turns a mechanism's response into the arguments of the AUTHENTICATE lines to
+ * send: base64 split into 400 byte chunks, "+" for an empty response (or to
+ * terminate a response that is an exact multiple of 400 bytes) and "*" to abort.
+ * @param {Buffer} response Response returned by a mechanism, or null.
+ * @return {Array} AUTHENTICATE arguments, in order.
+ */
+function encode(response) {
+    if (!response)
+        return ['*'];
+    var payload = response.toString('base64');
+    var chunks = [];
+    for (var i = 0; i < payload.length; i += 400) {
+        chunks.push(payload.slice(i, i + 400));
+    }
+    if (!chunks.length || chunks[chunks.length - 1].length == 400)
+        chunks.push('+');
+    return chunks;
+}
+
+exports.mechanisms = {
+    EXTERNAL: External,
+    'SCRAM-SHA-256': ScramSha256,
+    PLAIN: Plain
+};
+exports.encode = encode;
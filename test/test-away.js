@@ -0,0 +1,58 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('away state is tracked', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {capabilities: ['away-notify']});
+
+    t.plan(12);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+        mock.send(':testbot!nodebot@localhost JOIN #test\r\n');
+        mock.send(':Ned!~martyn@localhost JOIN #test\r\n');
+        mock.send(':Ned!~martyn@localhost AWAY :Gone fishing\r\n');
+    });
+
+    client.on('away', function(nick, reason, channels) {
+        var user = client.chans['#test'].users.Ned;
+        t.equal(nick, 'Ned', 'away nick');
+        t.deepEqual(channels, ['#test'], 'away channels');
+        t.ok(user.away, 'user is away');
+        t.equal(user.awayMessage, 'Gone fishing', 'away message is recorded');
+        mock.send(':Ned!~martyn@localhost AWAY\r\n');
+    });
+
+    client.on('back', function(nick) {
+        var user = client.chans['#test'].users.Ned;
+        t.notOk(user.away, nick + ' is back');
+        t.notOk('awayMessage' in user, 'away message is cleared');
+        client.setAway('brb');
+        mock.send(':localhost 306 testbot :You have been marked as being away\r\n');
+    });
+
+    client.once('selfaway', function(reason) {
+        t.equal(reason, 'brb', 'own away message');
+        t.ok(client.away && client.chans['#test'].users.testbot.away, 'own away state is recorded');
+        client.back();
+        mock.send(':localhost 305 testbot :You are no longer marked as being away\r\n');
+    });
+
+    client.once('selfback', function() {
+        t.notOk(client.away, 'no longer away');
+        client.on('selfaway', function(reason) {
+            t.equal(reason, null, 'away message is unknown when not set with setAway');
+            t.equal(client.awayMessage, null, 'awayMessage is not left over from setAway');
+            t.ok(client.chans['#test'].users.testbot.away, 'still recorded as away');
+            client.disconnect();
+        });
+        client.send('AWAY', 'elsewhere');
+        mock.send(':localhost 306 testbot :You have been marked as being away\r\n');
+    });
+
+    mock.on('end', function() {
+        mock.close();
+    });
+});
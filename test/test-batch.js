@@ -0,0 +1,49 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('batches are collected', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {capabilities: ['batch']});
+    var batches = [];
+
+    t.plan(8);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+        mock.send(':testbot!nodebot@localhost JOIN #test\r\n');
+        mock.send(':Ned!~martyn@localhost JOIN #test\r\n');
+        mock.send(':Bob!bob@localhost JOIN #test\r\n');
+        mock.send(':localhost BATCH +outer example.com/outer\r\n');
+        mock.send('@batch=outer :localhost BATCH +split netsplit irc.hub.net irc.leaf.net\r\n');
+        mock.send('@batch=split :Ned!~martyn@localhost QUIT :irc.hub.net irc.leaf.net\r\n');
+        mock.send('@batch=split :Bob!bob@localhost QUIT :irc.hub.net irc.leaf.net\r\n');
+        mock.send('@batch=outer :localhost BATCH -split\r\n');
+        mock.send(':localhost BATCH -outer\r\n');
+    });
+
+    client.on('quit', function(nick, reason, channels, message) {
+        t.equal(message.batch && message.batch.type, 'netsplit', 'quit of ' + nick + ' is part of the batch');
+    });
+
+    client.on('netsplit', function(server1, server2, nicks) {
+        t.deepEqual([server1, server2], ['irc.hub.net', 'irc.leaf.net'], 'netsplit servers');
+        t.deepEqual(nicks, ['Ned', 'Bob'], 'netsplit nicks');
+        t.deepEqual(client.nicksInChannel('#test'), ['testbot'], 'users are removed');
+    });
+
+    client.on('batch', function(batch) {
+        batches.push(batch);
+        if (batch.type != 'example.com/outer') return;
+        t.deepEqual(batches.map(function(b) { return b.type; }), ['netsplit', 'example.com/outer'],
+                    'nested batch ends first');
+        t.equal(batches[0].parent, batch, 'nested batch has its parent');
+        t.equal(batch.messages.length, 4, 'outer batch holds the nested lines');
+        client.disconnect();
+    });
+
+    mock.on('end', function() {
+        mock.close();
+    });
+});
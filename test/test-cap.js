@@ -0,0 +1,51 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('capability negotiation with cap-notify', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {
+        capabilities: ['multi-prefix', 'away-notify', 'account-notify']
+    });
+
+    t.plan(7);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost CAP * LS * :multi-prefix cap-notify\r\n');
+        mock.send(':localhost CAP * LS :away-notify sasl=PLAIN,EXTERNAL\r\n');
+        mock.send(':localhost CAP testbot ACK :multi-prefix away-notify\r\n');
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+        mock.send(':localhost CAP testbot NEW :account-notify extended-join\r\n');
+        mock.send(':localhost CAP testbot ACK :account-notify\r\n');
+        mock.send(':localhost CAP testbot DEL :away-notify\r\n');
+    });
+
+    client.on('cap-new', function(caps) {
+        t.deepEqual(caps, {'account-notify': undefined, 'extended-join': undefined}, 'new capabilities are reported');
+    });
+
+    client.on('cap-del', function(caps) {
+        t.deepEqual(caps, ['away-notify'], 'removed capabilities are reported');
+        t.deepEqual(client.capabilities, ['multi-prefix', 'account-notify'], 'enabled capabilities are updated');
+        t.notOk('away-notify' in client.supported.capabilities, 'supported capabilities are updated');
+        client.dropCapability('multi-prefix', function(acked, caps) {
+            t.ok(acked, 'drop was acknowledged');
+            t.deepEqual(client.capabilities, ['account-notify'], 'dropped capability is disabled');
+            client.disconnect();
+        });
+        mock.send(':localhost CAP testbot ACK :-multi-prefix\r\n');
+    });
+
+    mock.on('end', function() {
+        var msgs = mock.getIncomingMsgs().filter(function(msg) { return msg.indexOf('CAP') === 0; });
+        t.deepEqual(msgs, [
+            'CAP LS 302',
+            'CAP REQ :multi-prefix away-notify',
+            'CAP END',
+            'CAP REQ account-notify',
+            'CAP REQ -multi-prefix'
+        ], 'requests wanted capabilities once, including newly advertised ones');
+        mock.close();
+    });
+});
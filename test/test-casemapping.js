@@ -0,0 +1,61 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('caseFold follows CASEMAPPING', function(t) {
+    var client = new irc.Client('localhost', 'testbot', {autoConnect: false});
+
+    t.equal(client.caseFold('Ned[A]\\~'), 'ned{a}|^', 'rfc1459 by default');
+    client.supported.casemapping = 'strict-rfc1459';
+    t.equal(client.caseFold('Ned[A]\\~'), 'ned{a}|~', 'strict-rfc1459 leaves ~ alone');
+    client.supported.casemapping = 'ascii';
+    t.equal(client.caseFold('Ned[A]\\~'), 'ned[a]\\~', 'ascii only folds letters');
+    t.ok(client.nickEquals('NED', 'ned'), 'nickEquals ignores case');
+    t.notOk(client.nickEquals('Ned[]', 'ned{}'), 'nickEquals uses the casemapping');
+    t.end();
+});
+
+test('nicks and channels are matched using the casemapping', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {});
+
+    t.plan(7);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+        mock.send(':localhost 005 testbot CASEMAPPING=rfc1459 :are supported by this server\r\n');
+        mock.send(':testbot!nodebot@localhost JOIN #Test[1]\r\n');
+        mock.send(':Ned[away]!~martyn@localhost JOIN #test{1}\r\n');
+        mock.send(':localhost MODE #TEST[1] +o ned{AWAY}\r\n');
+        mock.send(':ChanServ!ChanServ@services. PRIVMSG TESTBOT :hello\r\n');
+    });
+
+    client.on('+mode', function(channel, by, mode, argument) {
+        t.deepEqual(Object.keys(client.chans), ['#test{1}'], 'channels share a key');
+        t.ok(client.nickHasOp('NED{away}', '#TEST[1]'), 'mode applies to the existing user');
+        t.ok(client.nickIsInChannel('ned[AWAY]', '#test{1}'), 'nickIsInChannel');
+        t.equal(client.nickToUser('NED[AWAY]', '#test[1]').username, '~martyn', 'nickToUser');
+    });
+
+    client.on('message#test{1}', function() {
+        t.fail('no channel message was sent');
+    });
+
+    client.on('pm', function(nick, text) {
+        t.equal(text, 'hello', 'private message to our nick in another case');
+        mock.send(':Ned{AWAY}!~martyn@localhost PART #TEST{1}\r\n');
+    });
+
+    client.on('part#test{1}', function(nick) {
+        t.equal(nick, 'Ned{AWAY}', 'lowercased per-channel event');
+        setImmediate(function() {
+            t.notOk(client.nickIsInChannel('Ned[away]', '#test[1]'), 'user is removed');
+            client.disconnect();
+        });
+    });
+
+    mock.on('end', function() {
+        mock.close();
+    });
+});
@@ -0,0 +1,47 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('chghost and setname update users', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {capabilities: ['chghost', 'setname']});
+
+    t.plan(9);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost CAP * LS :chghost setname\r\n');
+        mock.send(':localhost CAP testbot ACK :chghost setname\r\n');
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+        mock.send(':testbot!nodebot@localhost JOIN #test\r\n');
+        mock.send(':Ned!~martyn@localhost JOIN #test\r\n');
+        mock.send(':Ned!~martyn@localhost CHGHOST martyn dollyfish.net.nz\r\n');
+        mock.send(':Ned!martyn@dollyfish.net.nz SETNAME :Ned Flanders\r\n');
+    });
+
+    client.on('chghost', function(nick, username, host, channels) {
+        var user = client.chans['#test'].users.Ned;
+        t.deepEqual([nick, username, host, channels], ['Ned', 'martyn', 'dollyfish.net.nz', ['#test']],
+                    'chghost event');
+        t.equal(user.username, 'martyn', 'username is updated');
+        t.equal(user.host, 'dollyfish.net.nz', 'host is updated');
+    });
+
+    client.on('setname', function(nick, realname, channels) {
+        if (nick == 'Ned') {
+            t.deepEqual(channels, ['#test'], 'setname channels');
+            t.equal(client.chans['#test'].users.Ned.realname, 'Ned Flanders', 'realname is updated');
+            t.ok(client.setRealName('Mr Bot'), 'can change own realname');
+            t.equal(client.opt.realName, 'nodeJS IRC client', 'waits for the server');
+            mock.send(':testbot!nodebot@localhost SETNAME :Mr Bot\r\n');
+        } else {
+            t.equal(client.opt.realName, 'Mr Bot', 'own realname is updated');
+            client.disconnect();
+        }
+    });
+
+    mock.on('end', function() {
+        t.notEqual(mock.getIncomingMsgs().indexOf('SETNAME :Mr Bot'), -1, 'sent SETNAME');
+        mock.close();
+    });
+});
@@ -0,0 +1,115 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('echo-message delivers selfMessage on echo', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {capabilities: ['echo-message', 'server-time']});
+
+    t.plan(8);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost CAP * LS :echo-message server-time\r\n');
+        mock.send(':localhost CAP testbot ACK :echo-message server-time\r\n');
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+    });
+
+    client.on('message', function() {
+        t.fail('echoes are not incoming messages');
+    });
+
+    client.once('registered', function() {
+        client.on('selfMessage', function(to, text, message) {
+            t.deepEqual([to, text], ['#test', 'hello'], 'selfMessage on echo');
+            t.equal(message.time.toISOString(), '2020-01-01T00:00:00.000Z', 'echo carries server time');
+            t.deepEqual(client.pendingMessages, [{kind: 'PRIVMSG', target: '#moderated', text: 'hi'}],
+                        'echoed message is no longer pending');
+        });
+        client.on('messageDropped', function(to, text, reason) {
+            t.deepEqual([to, text, reason], ['#moderated', 'hi', 'Cannot send to channel'], 'messageDropped');
+            t.deepEqual(client.pendingMessages, [], 'nothing pending');
+            client.disconnect();
+        });
+        client.on('error', function(message) {
+            t.equal(message.command, 'err_cannotsendtochan', 'error is still emitted');
+        });
+
+        client.say('#test', 'hello');
+        client.say('#moderated', 'hi');
+        t.equal(client.pendingMessages.length, 2, 'messages are pending');
+        mock.send('@time=2020-01-01T00:00:00.000Z :testbot!nodebot@localhost PRIVMSG #test :hello\r\n');
+        mock.send(':localhost 404 testbot #moderated :Cannot send to channel\r\n');
+    });
+
+    mock.on('end', function() {
+        var msgs = mock.getIncomingMsgs();
+        t.notEqual(msgs.indexOf('PRIVMSG #test hello'), -1, 'message was sent');
+        mock.close();
+    });
+});
+
+test('echoes match with stripColors', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {capabilities: ['echo-message'], stripColors: true});
+
+    t.plan(3);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost CAP * LS :echo-message\r\n');
+        mock.send(':localhost CAP testbot ACK :echo-message\r\n');
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+    });
+
+    client.once('registered', function() {
+        client.on('selfMessage', function(to, text) {
+            t.equal(text, 'red and bold', 'echo has its colors stripped');
+            t.deepEqual(client.pendingMessages, [], 'coloured message is no longer pending');
+            client.disconnect();
+        });
+        client.say('#test', '\u000304red\u0003 and \u0002bold\u0002');
+        mock.send(':testbot!nodebot@localhost PRIVMSG #test :\u000304red\u0003 and \u0002bold\u0002\r\n');
+    });
+
+    mock.on('end', function() {
+        t.notEqual(mock.getIncomingMsgs().indexOf('PRIVMSG #test :\u000304red\u0003 and \u0002bold\u0002'), -1,
+                   'colors are sent');
+        mock.close();
+    });
+});
+
+test('errors answering other commands do not drop messages', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {capabilities: ['echo-message']});
+
+    t.plan(3);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost CAP * LS :echo-message\r\n');
+        mock.send(':localhost CAP testbot ACK :echo-message\r\n');
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+    });
+
+    client.on('messageDropped', function() {
+        t.fail('messageDropped for a WHOIS error');
+    });
+
+    client.on('error', function() {});
+
+    client.once('registered', function() {
+        client.say('Ned', 'hello');
+        client.whois('Ned').then(null, function(err) {
+            t.equal(err.code, 'err_nosuchnick', 'whois is rejected');
+            t.deepEqual(client.pendingMessages, [{kind: 'PRIVMSG', target: 'Ned', text: 'hello'}],
+                        'message is still pending');
+            client.pendingMessages = [];
+            client.disconnect();
+        });
+        mock.send(':localhost 401 testbot Ned :No such nick/channel\r\n');
+    });
+
+    mock.on('end', function() {
+        t.notEqual(mock.getIncomingMsgs().indexOf('WHOIS Ned'), -1, 'whois was sent');
+        mock.close();
+    });
+});
@@ -0,0 +1,164 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var FloodControl = require('../lib/flood_control').FloodControl;
+var testHelpers = require('./helpers');
+
+function recorder() {
+    var sent = [];
+    var flood = new FloodControl(function(args) {
+        sent.push(args.join(' '));
+    }, {interval: 30, burst: 2});
+    flood.sent = sent;
+    return flood;
+}
+
+test('token bucket allows a burst then one command per interval', function(t) {
+    var flood = recorder();
+
+    flood.push(['PRIVMSG', '#test', 'one']);
+    flood.push(['PRIVMSG', '#test', 'two']);
+    flood.push(['PRIVMSG', '#test', 'three']);
+    flood.push(['PRIVMSG', '#test', 'four']);
+    t.equal(flood.sent.length, 2, 'burst is sent at once');
+    t.equal(flood.length(), 2, 'the rest is queued');
+
+    setTimeout(function() {
+        t.equal(flood.sent.length, 3, 'one more after an interval');
+        setTimeout(function() {
+            t.deepEqual(flood.sent.slice(2), ['PRIVMSG #test three', 'PRIVMSG #test four'], 'queue is sent in order');
+            t.end();
+        }, 40);
+    }, 45);
+});
+
+test('commands jump the queue by priority and cost', function(t) {
+    var flood = recorder();
+
+    flood.push(['PRIVMSG', '#test', 'one']);
+    flood.push(['LIST']);
+    flood.push(['PRIVMSG', '#test', 'two']);
+    flood.push(['JOIN', '#other']);
+    flood.push([{label: 'a'}, 'PING', 'now']);
+    flood.push(['PONG', 'server']);
+    t.deepEqual(flood.sent, ['PRIVMSG #test one', 'PONG server'], 'PONG bypasses the queue');
+
+    flood.remove(function(args) {
+        return args[0] == 'JOIN';
+    });
+    t.equal(flood.length(), 3, 'removed commands are dropped');
+
+    setTimeout(function() {
+        t.deepEqual(flood.sent.slice(2, 4), ['[object Object] PING now', 'LIST'], 'PING goes first, LIST waits for a full bucket');
+        flood.clear();
+        t.equal(flood.length(), 0, 'queue is cleared');
+        t.equal(flood._timer, null, 'no timer left running');
+        t.end();
+    }, 100);
+});
+
+test('batches are sent whole and in order', function(t) {
+    var sent = [];
+    var flood = new FloodControl(function(args) {
+        sent.push(args.join(' ').replace('[object Object]', '@'));
+    }, {interval: 10, burst: 1});
+
+    flood.push(['PRIVMSG', '#test', 'before']);
+    flood.push(['BATCH', '+ml', 'draft/multiline', '#test']);
+    flood.push([{batch: 'ml'}, 'PRIVMSG', '#test', 'one']);
+    flood.push([{batch: 'ml'}, 'PRIVMSG', '#test', 'two']);
+    flood.push(['BATCH', '-ml']);
+    flood.push(['BATCH', '+gone', 'draft/multiline', '#other']);
+    flood.push([{batch: 'gone'}, 'PRIVMSG', '#other', 'three']);
+    flood.push(['BATCH', '-gone']);
+    t.equal(flood.remove(function(args) {
+        return args[2] == '#other';
+    }), 1, 'lines of a batch can be cancelled');
+    t.equal(flood.length(), 4, 'along with the batch if it hasn\'t started');
+
+    setTimeout(function() {
+        flood.push(['JOIN', '#later']);
+    }, 15);
+    setTimeout(function() {
+        t.deepEqual(sent, [
+            'PRIVMSG #test before',
+            'BATCH +ml draft/multiline #test',
+            '@ PRIVMSG #test one',
+            '@ PRIVMSG #test two',
+            'BATCH -ml',
+            'JOIN #later'
+        ], 'nothing goes between the lines of a batch');
+        t.end();
+    }, 100);
+});
+
+test('queued messages can be counted and cancelled per target', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {floodProtectionDelay: 1000});
+
+    t.plan(6);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+    });
+
+    client.on('registered', function() {
+        client.activateFloodProtection();
+        client.say('#a', 'one');
+        client.say('#a', 'two');
+        client.say('#b', 'three');
+        client.say('#A', 'four');
+        t.equal(client.queueLength(), 3, 'messages after the first are queued');
+        t.equal(client.queueLength('#a'), 2, 'queued messages for a target');
+        t.equal(client.cancelQueued('#a'), 2, 'cancelled messages for the target');
+        t.equal(client.queueLength(), 1, 'other targets are left alone');
+        client.disconnect();
+        t.equal(client.queueLength(), 0, 'queue is emptied on disconnect');
+    });
+
+    mock.on('end', function() {
+        var msgs = mock.getIncomingMsgs().filter(function(msg) {
+            return msg.indexOf('PRIVMSG') === 0 || msg.indexOf('QUIT') === 0;
+        });
+        t.deepEqual(msgs, ['PRIVMSG #a one', 'QUIT :node-irc says goodbye'], 'only the first message was sent');
+        mock.close();
+    });
+});
+
+test('cancelled messages are dropped from those awaiting their echo', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {
+        capabilities: ['echo-message', 'batch', 'draft/multiline'],
+        floodProtection: true,
+        floodProtectionDelay: 1000
+    });
+    var dropped = [];
+
+    t.plan(2);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost CAP * LS :echo-message batch draft/multiline\r\n');
+        mock.send(':localhost CAP testbot ACK :echo-message batch draft/multiline\r\n');
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+    });
+
+    client.on('messageDropped', function(to, text, reason) {
+        dropped.push([to, text, reason]);
+    });
+
+    client.once('registered', function() {
+        client.say('#b', 'sent');
+        client.say('#a', 'one');
+        client.say('#a', 'two\nthree');
+        client.cancelQueued('#a');
+        t.deepEqual(dropped, [['#a', 'one', 'Cancelled'], ['#a', 'two\nthree', 'Cancelled']],
+                    'messageDropped when cancelled');
+        t.deepEqual(client.pendingMessages, [{kind: 'PRIVMSG', target: '#b', text: 'sent'}],
+                    'only messages sent are still pending');
+        client.disconnect();
+    });
+
+    mock.on('end', function() {
+        mock.close();
+    });
+});
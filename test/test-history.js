@@ -0,0 +1,108 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('chathistory queries', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {
+        capabilities: ['batch', 'draft/chathistory', 'message-tags', 'server-time']
+    });
+
+    t.plan(7);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost CAP * LS :batch draft/chathistory message-tags server-time\r\n');
+        mock.send(':localhost CAP testbot ACK :batch draft/chathistory message-tags server-time\r\n');
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+        mock.send(':localhost 005 testbot CHATHISTORY=50 :are supported by this server\r\n');
+    });
+
+    client.on('message', function() {
+        t.fail('history is not handled as live messages');
+    });
+
+    client.once('isupport', function() {
+        client.history.latest('#test', 100).then(function(messages) {
+            t.equal(messages.length, 2, 'messages in the batch');
+            t.deepEqual(
+                messages.map(function(m) { return [m.type, m.nick, m.target, m.text]; }),
+                [['privmsg', 'Ned', '#test', 'hello'], ['action', 'Bob', '#test', 'waves']],
+                'messages are parsed'
+            );
+            t.equal(messages[0].time.toISOString(), '2020-01-01T00:00:00.000Z', 'server time');
+            t.equal(messages[0].tags.msgid, 'abc', 'tags');
+
+            client.history.before('#nope', new Date('2020-01-01T00:00:00Z')).then(null, function(err) {
+                t.equal(err.code, 'INVALID_TARGET', 'FAIL rejects');
+
+                client.history.targets(new Date('2020-01-01T00:00:00Z'), new Date('2020-01-02T00:00:00Z'))
+                    .then(function(targets) {
+                        t.deepEqual(targets, [{target: '#test', time: new Date('2020-01-01T00:00:01Z')}],
+                                    'targets');
+                        client.disconnect();
+                    });
+                mock.send(':localhost BATCH +t draft/chathistory-targets\r\n');
+                mock.send('@batch=t :localhost CHATHISTORY TARGETS #test 2020-01-01T00:00:01.000Z\r\n');
+                mock.send(':localhost BATCH -t\r\n');
+            });
+            mock.send(':localhost FAIL CHATHISTORY INVALID_TARGET BEFORE #nope :No such channel\r\n');
+        });
+        mock.send(':localhost BATCH +h chathistory #TEST\r\n');
+        mock.send('@batch=h;time=2020-01-01T00:00:00.000Z;msgid=abc :Ned!~martyn@localhost PRIVMSG #test :hello\r\n');
+        mock.send('@batch=h;time=2020-01-01T00:00:01.000Z :Bob!bob@localhost PRIVMSG #test :\u0001ACTION waves\u0001\r\n');
+        mock.send(':localhost BATCH -h\r\n');
+    });
+
+    mock.on('end', function() {
+        var msgs = mock.getIncomingMsgs().filter(function(msg) { return msg.indexOf('CHATHISTORY') === 0; });
+        t.deepEqual(msgs, [
+            'CHATHISTORY LATEST #test * 50',
+            'CHATHISTORY BEFORE #nope timestamp=2020-01-01T00:00:00.000Z 50',
+            'CHATHISTORY TARGETS timestamp=2020-01-01T00:00:00.000Z timestamp=2020-01-02T00:00:00.000Z 50'
+        ], 'queries sent');
+        mock.close();
+    });
+});
+
+test('chathistory requires the capability', function(t) {
+    var client = new irc.Client('localhost', 'testbot', {autoConnect: false});
+    t.plan(1);
+    client.history.latest('#test').then(null, function(err) {
+        t.ok(err instanceof Error, 'rejected');
+    });
+});
+
+test('history nobody asked for is handled as live messages', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {
+        capabilities: ['batch', 'draft/chathistory', 'message-tags', 'server-time']
+    });
+    var texts = [];
+
+    t.plan(1);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost CAP * LS :batch draft/chathistory message-tags server-time\r\n');
+        mock.send(':localhost CAP testbot ACK :batch draft/chathistory message-tags server-time\r\n');
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+        mock.send(':testbot!nodebot@localhost JOIN #test\r\n');
+        mock.send(':localhost BATCH +h chathistory #test\r\n');
+        mock.send('@batch=h;time=2020-01-01T00:00:00.000Z :Ned!~martyn@localhost PRIVMSG #test :hello\r\n');
+        mock.send('@batch=h;time=2020-01-01T00:00:01.000Z :Bob!bob@localhost PRIVMSG #test :hi\r\n');
+        mock.send(':localhost BATCH -h\r\n');
+    });
+
+    client.on('message', function(from, to, text) {
+        texts.push(text);
+    });
+
+    client.on('batch', function() {
+        t.deepEqual(texts, ['hello', 'hi'], 'replayed lines are message events');
+        client.disconnect();
+    });
+
+    mock.on('end', function() {
+        mock.close();
+    });
+});
@@ -0,0 +1,43 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('isupport tokens are stored', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {});
+    var lines = 0;
+
+    t.plan(11);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+        mock.send(':localhost 005 testbot NETWORK=Example\\x20Net CASEMAPPING=ascii EXCEPTS WHOX ' +
+                  'TARGMAX=PRIVMSG:4,JOIN: UTF8ONLY :are supported by this server\r\n');
+        mock.send(':localhost 005 testbot MONITOR=100 ELIST=CMNTU CHANLIMIT=#&:50 -EXCEPTS -WHOX ' +
+                  ':are supported by this server\r\n');
+    });
+
+    client.on('isupport', function(tokens, removed) {
+        if (++lines == 1) {
+            t.equal(tokens.NETWORK, 'Example Net', 'escaped values are decoded');
+            t.deepEqual(removed, [], 'nothing removed');
+            return;
+        }
+
+        t.deepEqual(removed, ['EXCEPTS', 'WHOX'], 'negated tokens are reported');
+        t.equal(client.networkName(), 'Example Net', 'network name');
+        t.ok(client.isupportHas('UTF8ONLY'), 'tokens without a value');
+        t.notOk(client.isupportHas('EXCEPTS'), 'negation removes the token');
+        t.notOk(client.supported.whox, 'negation resets known features');
+        t.equal(client.isupportNumber('MONITOR'), 100, 'numeric token');
+        t.equal(client.isupportNumber('SILENCE', 15), 15, 'numeric default');
+        t.deepEqual(client.isupportMap('TARGMAX'), {PRIVMSG: 4, JOIN: null}, 'map token');
+        t.deepEqual(client.isupportList('ELIST'), ['CMNTU'], 'list token');
+        client.disconnect();
+    });
+
+    mock.on('end', function() {
+        mock.close();
+    });
+});
@@ -0,0 +1,93 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('join failures are reported and retried', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {
+        joinRetry: {knock: true, throttleDelay: 10}
+    });
+    var errors = [];
+    var invited = false;
+
+    t.plan(11);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+        mock.send(':localhost 005 testbot KNOCK :are supported by this server\r\n');
+    });
+
+    var errorEvents = [];
+    client.on('error', function(message) {
+        errorEvents.push(message.command);
+    });
+
+    client.on('joinError', function(channel, reason) {
+        errors.push(channel + ' ' + reason);
+    });
+
+    client.once('registered', function() {
+        client.join('#banned', function() {
+            t.fail('callback is not called when the join fails');
+        }).then(null, function(err) {
+            t.equal(err.code, 'err_bannedfromchan', 'promise is rejected when the join is not retried');
+        });
+        mock.send(':localhost 474 testbot #banned :Cannot join channel (+b)\r\n');
+
+        client.join('#secret key').then(function() {
+            t.pass('promise resolves once joined on invite');
+            client.disconnect();
+        });
+        mock.send(':localhost 473 testbot #secret :Cannot join channel (+i)\r\n');
+
+        client.join('#busy', function() {
+            t.ok(client.opt.channels.indexOf('#busy') != -1, 'callback of a retried join is called and it is remembered');
+        }).then(function() {
+            t.pass('promise of a retried join resolves');
+        });
+        mock.send(':localhost 480 testbot #busy :Cannot join channel (throttled)\r\n');
+        // also used for nicks, this is not a join failure
+        mock.send(':localhost 437 testbot othernick :Nick temporarily unavailable\r\n');
+
+        client.send('JOIN', '#other');
+        mock.send(':localhost 480 testbot #other :Cannot join channel (throttled)\r\n');
+    });
+
+    client.on('selfjoin', function(channel) {
+        if (channel != '#busy') return;
+        t.deepEqual(errors, ['#banned banned', '#secret inviteonly', '#busy throttled', '#other throttled'],
+                    'joinError events');
+        t.equal(client.listeners('join#banned').length, 0, 'listener of the failed join is removed');
+        t.deepEqual(errorEvents.slice(0, 3), ['err_bannedfromchan', 'err_inviteonlychan', 'err_throttle'],
+                    'error events are still emitted');
+        invited = true;
+        mock.send(':ChanServ!service@services. INVITE testbot #secret\r\n');
+    });
+
+    client.on('join#other', function() {
+        t.equal(client.opt.channels.indexOf('#other'), -1, 'retried joins not made with join() are not remembered');
+    });
+
+    mock.on('end', function() {
+        var msgs = mock.getIncomingMsgs();
+        t.notEqual(msgs.indexOf('KNOCK #secret'), -1, 'knocks on invite only channels');
+        t.deepEqual(msgs.filter(function(msg) { return msg == 'JOIN #busy'; }).length, 2, 'retries when throttled');
+        t.ok(msgs.lastIndexOf('JOIN #secret key') > msgs.indexOf('KNOCK #secret'), 'joins with the key once invited');
+        mock.close();
+    });
+
+    mock.server.on('connection', function(socket) {
+        var busy = 0, other = 0;
+        socket.on('data', function(data) {
+            data.toString().split('\r\n').forEach(function(line) {
+                if (line == 'JOIN #other' && ++other == 2)
+                    mock.send(':testbot!nodebot@localhost JOIN #other\r\n');
+                else if (line == 'JOIN #busy' && ++busy == 2)
+                    mock.send(':testbot!nodebot@localhost JOIN #busy\r\n');
+                else if (line == 'JOIN #secret key' && invited)
+                    mock.send(':testbot!nodebot@localhost JOIN #secret\r\n');
+            });
+        });
+    });
+});
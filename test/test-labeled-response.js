@@ -0,0 +1,105 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('labeled requests', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {capabilities: ['batch', 'labeled-response']});
+
+    t.plan(7);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost CAP * LS :batch labeled-response\r\n');
+        mock.send(':localhost CAP testbot ACK :batch labeled-response\r\n');
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+    });
+
+    client.once('registered', function() {
+        client.request('AWAY').then(function(messages) {
+            t.deepEqual(messages, [], 'ACK resolves with no replies');
+        });
+        mock.send('@label=1 :localhost ACK\r\n');
+
+        client.whois('Ned', function(info) {
+            t.deepEqual(info, {nick: 'Ned', user: '~martyn', host: 'localhost', realname: 'Ned', idle: '7'},
+                        'whois from the labeled batch');
+        });
+        // an unlabeled reply for someone else must not be taken for ours
+        mock.send(':localhost 311 testbot Bob bob localhost * :Bob\r\n');
+        mock.send(':localhost 318 testbot Bob :End of /WHOIS list.\r\n');
+        mock.send('@label=2 :localhost BATCH +w labeled-response\r\n');
+        mock.send('@batch=w :localhost 311 testbot Ned ~martyn localhost * :Ned\r\n');
+        mock.send('@batch=w :localhost 317 testbot Ned 7 :seconds idle\r\n');
+        mock.send('@batch=w :localhost 318 testbot Ned :End of /WHOIS list.\r\n');
+        mock.send(':localhost BATCH -w\r\n');
+
+        client.on('who', function(target, users) {
+            t.equal(target, '#test', 'who target');
+            t.deepEqual(users.map(function(u) { return u.nick; }), ['Ned', 'Bob'], 'who users');
+        });
+        client.who('#test');
+        mock.send('@label=3 :localhost BATCH +x labeled-response\r\n');
+        mock.send('@batch=x :localhost 352 testbot #test ~martyn localhost irc.test Ned H :0 Ned\r\n');
+        mock.send('@batch=x :localhost 352 testbot #test bob localhost irc.test Bob G :0 Bob\r\n');
+        mock.send('@batch=x :localhost 315 testbot #test :End of /WHO list.\r\n');
+        mock.send(':localhost BATCH -x\r\n');
+
+        client.request('LIST').then(function(messages) {
+            t.deepEqual(messages.map(function(m) { return m.command; }), ['rpl_liststart', 'rpl_list', 'rpl_listend'],
+                        'batched replies');
+            client.disconnect();
+        });
+        mock.send('@label=4 :localhost BATCH +y labeled-response\r\n');
+        mock.send('@batch=y :localhost 321 testbot Channel :Users  Name\r\n');
+        mock.send('@batch=y :localhost 322 testbot #test 2 :Topic\r\n');
+        mock.send('@batch=y :localhost 323 testbot :End of /LIST\r\n');
+        mock.send(':localhost BATCH -y\r\n');
+    });
+
+    mock.on('end', function() {
+        var msgs = mock.getIncomingMsgs();
+        t.notEqual(msgs.indexOf('@label=2 WHOIS Ned'), -1, 'sends the label');
+        t.deepEqual(client.channellist, [{name: '#test', users: '2', topic: 'Topic'}],
+                    'replies to plain requests are still handled');
+        mock.close();
+    });
+});
+
+test('callbacks are called when labeled requests fail', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {capabilities: ['batch', 'labeled-response']});
+
+    t.plan(3);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost CAP * LS :batch labeled-response\r\n');
+        mock.send(':localhost CAP testbot ACK :batch labeled-response\r\n');
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+    });
+
+    client.once('registered', function() {
+        client.whois('Ned', function(info) {
+            t.deepEqual(info, {nick: 'Ned'}, 'whois callback is called on disconnect');
+        });
+        client.on('who', function(target, users) {
+            t.deepEqual([target, users], ['#test', undefined], 'who event is emitted on disconnect');
+        });
+        client.who('#test');
+        client.disconnect();
+    });
+
+    mock.on('end', function() {
+        t.pass('disconnected');
+        mock.close();
+    });
+});
+
+test('send escapes tags', function(t) {
+    var client = new irc.Client('localhost', 'testbot', {autoConnect: false});
+    var written;
+    client.conn = {write: function(line) { written = line; }};
+    client.send({'+draft/reply': 'a b;c', '+typing': true}, 'TAGMSG', '#test');
+    t.equal(written, '@+draft/reply=a\\sb\\:c;+typing TAGMSG #test\r\n', 'tags are escaped');
+    t.end();
+});
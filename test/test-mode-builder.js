@@ -0,0 +1,57 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('mode changes are checked, coalesced and confirmed', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {});
+
+    t.plan(6);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+        mock.send(':localhost 005 testbot PREFIX=(qaohv)~&@%+ CHANMODES=beI,k,l,imnpst MODES=2 :are supported by this server\r\n');
+        mock.send(':testbot!nodebot@localhost JOIN #test\r\n');
+        mock.send(':localhost 353 testbot = #test :%testbot @Ned Bob\r\n');
+        mock.send(':localhost 366 testbot #test :End of /NAMES list.\r\n');
+        mock.send(':localhost 324 testbot #test +nt\r\n');
+        mock.send(':localhost PING :synced\r\n');
+    });
+
+    client.once('ping', function() {
+        client.mode('#test').add('o', 'Bob').commit().then(null, function(err) {
+            t.equal(err.message, 'Need @ to change modes on #test', 'halfops can\'t give ops');
+
+            var promise = client.mode('#TEST')
+                .add('v', 'Bob')
+                .add('n')
+                .set('l', 50)
+                .remove('i')
+                .add('b', 'x!*@*')
+                .commit();
+            mock.send(':testbot!nodebot@localhost MODE #test +vl Bob 50\r\n');
+            mock.send(':testbot!nodebot@localhost MODE #test +b x!*@*\r\n');
+            return promise;
+        }).then(function(changes) {
+            t.deepEqual(changes, [
+                {adding: true, mode: 'v', param: 'Bob'},
+                {adding: true, mode: 'l', param: '50'},
+                {adding: true, mode: 'b', param: 'x!*@*'}
+            ], 'resolves with the confirmed changes');
+            t.ok(client.nickHasVoice('Bob', '#test'), 'state is updated');
+            t.notOk(client.setChanMode('#test', '+v', 'Bob'), 'setChanMode skips no-op changes');
+            t.ok(client.setChanMode('#test', '-v', 'Bob Ned'), 'setChanMode sends changes');
+            client.disconnect();
+        });
+    });
+
+    mock.on('end', function() {
+        var msgs = mock.getIncomingMsgs().filter(function(msg) {
+            return msg.indexOf('MODE #test ') === 0 || msg.indexOf('MODE #TEST ') === 0;
+        });
+        t.deepEqual(msgs, ['MODE #TEST +vl Bob 50', 'MODE #TEST +b x!*@*', 'MODE #test -v Bob'],
+                    'changes go in as few lines as MODES allows');
+        mock.close();
+    });
+});
@@ -0,0 +1,62 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('list modes are tracked per channel', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {});
+
+    t.plan(11);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+        mock.send(':localhost 005 testbot CHANMODES=beIq,k,l,imnpst :are supported by this server\r\n');
+        mock.send(':testbot!nodebot@localhost JOIN #test\r\n');
+    });
+
+    client.once('selfjoin', function() {
+        client.banList('#TEST').then(function(entries) {
+            t.deepEqual(entries, [
+                {mask: 'bad!*@*', setBy: 'Ned', setAt: new Date(1500000000000)},
+                {mask: '*!*@spam', setBy: null, setAt: null}
+            ], 'ban list');
+            t.equal(client.chans['#test'].lists.b, entries, 'ban list is kept');
+
+            mock.send(':Ned!~martyn@localhost MODE #test +bI-b+i new!*@* *!*@friend bad!*@*\r\n');
+            return client.modeList('#test', 'q');
+        }).then(function(entries) {
+            t.deepEqual(entries, [{mask: 'quiet!*@*', setBy: 'Ned', setAt: new Date(1600000000000)}], 'quiet list');
+            var chan = client.chans['#test'];
+            t.deepEqual(chan.lists.b.map(function(entry) { return entry.mask; }), ['*!*@spam', 'new!*@*'],
+                        'ban list follows MODE changes');
+            t.equal(chan.lists.I[0].setBy, 'Ned', 'new entries record who set them');
+            t.equal(chan.mode, 'i', 'list modes are not channel modes');
+            client.disconnect();
+        });
+        mock.send(':localhost 367 testbot #test bad!*@* Ned 1500000000\r\n');
+        mock.send(':localhost 367 testbot #test *!*@spam\r\n');
+        mock.send(':localhost 368 testbot #test :End of Channel Ban List\r\n');
+    });
+
+    client.on('modelist-add', function(channel, mode, entry) {
+        t.ok(channel == '#test' && (mode == 'b' || mode == 'I'), 'added ' + entry.mask);
+    });
+
+    client.on('modelist-remove', function(channel, mode, entry) {
+        t.deepEqual([mode, entry.mask, entry.setBy], ['b', 'bad!*@*', 'Ned'], 'removed entry');
+        mock.send(':localhost 728 testbot #test q quiet!*@* Ned 1600000000\r\n');
+        mock.send(':localhost 729 testbot #test q :End of Channel Quiet List\r\n');
+    });
+
+    client.on('+mode', function(channel, by, mode, argument) {
+        if (mode == 'i')
+            t.equal(argument, undefined, 'arguments line up after list modes');
+    });
+
+    mock.on('end', function() {
+        var msgs = mock.getIncomingMsgs();
+        t.notEqual(msgs.indexOf('MODE #TEST +b'), -1, 'ban list was requested');
+        mock.close();
+    });
+});
@@ -0,0 +1,50 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('monitor watches nicks with MONITOR and ISON', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {});
+    var events = [];
+
+    t.plan(6);
+
+    t.deepEqual(client.monitor.add(['Ned', 'Bob', 'Alice', 'ned']), ['Ned', 'Bob', 'Alice'], 'adds each nick once');
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+        mock.send(':localhost 005 testbot MONITOR=2 :are supported by this server\r\n');
+        mock.send(':localhost 376 testbot :End of /MOTD command.\r\n');
+        mock.send(':localhost 730 testbot :Ned!~martyn@localhost\r\n');
+        mock.send(':localhost 731 testbot :Bob\r\n');
+        mock.send(':localhost 303 testbot :alice\r\n');
+    });
+
+    client.on('online', function(nick) {
+        events.push('online ' + nick);
+    });
+    client.on('offline', function(nick) {
+        events.push('offline ' + nick);
+        if (nick == 'Bob') return;
+        t.deepEqual(events, ['online Ned', 'offline Bob', 'online Alice', 'offline Ned'], 'events');
+        t.deepEqual(client.monitor.remove('ned'), ['Ned'], 'removes the nick');
+        client.disconnect();
+    });
+
+    client.on('raw', function(message) {
+        if (message.command != 'rpl_ison') return;
+        t.equal(client.monitor.status('ALICE'), true, 'online status');
+        t.equal(client.monitor.status('Bob'), false, 'offline status');
+        mock.send(':localhost 731 testbot :Ned\r\n');
+    });
+
+    mock.on('end', function() {
+        var msgs = mock.getIncomingMsgs().filter(function(msg) {
+            return /^(MONITOR|ISON)/.test(msg);
+        });
+        t.deepEqual(msgs, ['MONITOR + Ned,Bob', 'ISON Alice', 'MONITOR - ned'],
+                    'monitors up to the limit and polls the rest');
+        mock.close();
+    });
+});
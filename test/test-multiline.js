@@ -0,0 +1,150 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('multiline messages are sent and received as batches', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {capabilities: ['batch', 'draft/multiline']});
+    var long = new Array(121).join('word ') + 'end';
+    var spoken = [];
+
+    t.plan(7);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost CAP * LS :batch draft/multiline=max-bytes=1000,max-lines=3\r\n');
+        mock.send(':localhost CAP testbot ACK :batch draft/multiline\r\n');
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+    });
+
+    client.on('selfMessage', function(to, text) {
+        spoken.push(text);
+    });
+
+    client.once('registered', function() {
+        client.say('#test', 'one\ntwo\r\nthree\nfour');
+        client.say('#test', long);
+        t.deepEqual(spoken, ['one\ntwo\nthree', 'four', long], 'selfMessage for each batch');
+
+        mock.send('@msgid=abc :localhost BATCH +ml draft/multiline #test\r\n');
+        mock.send('@batch=ml :Ned!~martyn@localhost PRIVMSG #test :hello\r\n');
+        mock.send('@batch=ml :Ned!~martyn@localhost PRIVMSG #test :world \r\n');
+        mock.send('@batch=ml;draft/multiline-concat :Ned!~martyn@localhost PRIVMSG #test :wide\r\n');
+        mock.send(':localhost BATCH -ml\r\n');
+    });
+
+    client.on('message', function(from, to, text, message) {
+        t.equal(text, 'hello\nworld wide', 'lines are put back together');
+        t.equal(message.tags.msgid, 'abc', 'message has the batch tags');
+        t.equal(message.lines.length, 3, 'lines are kept');
+        client.disconnect();
+    });
+
+    mock.on('end', function() {
+        var msgs = mock.getIncomingMsgs();
+        var first = msgs.indexOf('BATCH +multiline1 draft/multiline #test');
+        t.deepEqual(msgs.slice(first, first + 6), [
+            'BATCH +multiline1 draft/multiline #test',
+            '@batch=multiline1 PRIVMSG #test one',
+            '@batch=multiline1 PRIVMSG #test two',
+            '@batch=multiline1 PRIVMSG #test three',
+            'BATCH -multiline1',
+            'PRIVMSG #test four'
+        ], 'lines are batched up to max-lines');
+        var second = msgs.indexOf('BATCH +multiline2 draft/multiline #test');
+        t.ok(msgs[second + 2].indexOf('@batch=multiline2;draft/multiline-concat PRIVMSG #test :') === 0,
+             'long lines are split and tagged to be joined');
+        t.equal(msgs[second + 1].replace(/^.* :/, '') + msgs[second + 2].replace(/^.* :/, ''), long,
+                'split keeps the whitespace');
+        mock.close();
+    });
+});
+
+test('multiline text is sent line by line without draft/multiline', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {});
+
+    t.plan(1);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+    });
+
+    client.once('registered', function() {
+        client.notice('#test', 'one\ntwo');
+        client.disconnect();
+    });
+
+    mock.on('end', function() {
+        var msgs = mock.getIncomingMsgs().filter(function(msg) {
+            return msg.indexOf('NOTICE') === 0 || msg.indexOf('BATCH') === 0;
+        });
+        t.deepEqual(msgs, ['NOTICE #test one', 'NOTICE #test two'], 'one NOTICE per line');
+        mock.close();
+    });
+});
+
+test('multiline text is sent line by line without batch', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {capabilities: ['draft/multiline']});
+
+    t.plan(1);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost CAP * LS :draft/multiline\r\n');
+        mock.send(':localhost CAP testbot ACK :draft/multiline\r\n');
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+    });
+
+    client.once('registered', function() {
+        client.say('#test', 'one\ntwo');
+        client.disconnect();
+    });
+
+    mock.on('end', function() {
+        var msgs = mock.getIncomingMsgs().filter(function(msg) {
+            return msg.indexOf('PRIVMSG') === 0 || msg.indexOf('BATCH') === 0;
+        });
+        t.deepEqual(msgs, ['PRIVMSG #test one', 'PRIVMSG #test two'], 'one PRIVMSG per line');
+        mock.close();
+    });
+});
+
+test('flood protection keeps multiline batches in order', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {
+        capabilities: ['batch', 'draft/multiline'],
+        floodProtection: true,
+        floodProtectionDelay: 10
+    });
+
+    t.plan(1);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost CAP * LS :batch draft/multiline\r\n');
+        mock.send(':localhost CAP testbot ACK :batch draft/multiline\r\n');
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+    });
+
+    client.once('registered', function() {
+        client.say('#test', 'one\ntwo');
+        client.send('MODE', '#test');
+        setTimeout(function() {
+            client.disconnect();
+        }, 100);
+    });
+
+    mock.on('end', function() {
+        var msgs = mock.getIncomingMsgs().filter(function(msg) {
+            return /^(@batch=\S+ )?(BATCH|PRIVMSG|MODE)/.test(msg);
+        });
+        t.deepEqual(msgs, [
+            'MODE #test',
+            'BATCH +multiline1 draft/multiline #test',
+            '@batch=multiline1 PRIVMSG #test one',
+            '@batch=multiline1 PRIVMSG #test two',
+            'BATCH -multiline1'
+        ], 'batch lines are sent together');
+        mock.close();
+    });
+});
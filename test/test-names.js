@@ -0,0 +1,42 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('names replies are collected and merged', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {capabilities: ['multi-prefix', 'userhost-in-names']});
+
+    t.plan(6);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+        mock.send(':localhost 005 testbot PREFIX=(qaohv)~&@%+ CHANTYPES=#& :are supported by this server\r\n');
+        mock.send(':testbot!nodebot@localhost JOIN #test\r\n');
+        mock.send(':Gone!gone@localhost JOIN #test\r\n');
+        mock.send(':localhost 353 testbot = #test :testbot!nodebot@localhost ~@Ned!~martyn@dollyfish.net.nz\r\n');
+        mock.send(':localhost 353 testbot = #test :%+Mary!mary@localhost Bob!bob@localhost\r\n');
+        mock.send(':localhost 366 testbot #test :End of /NAMES list.\r\n');
+    });
+
+    client.once('names#test', function(nicks) {
+        var users = client.chans['#test'].users;
+        t.deepEqual(nicks, {testbot: '', Ned: '~@', Mary: '%+', Bob: ''}, 'names event lists all prefixes');
+        t.deepEqual(users.Ned, {modes: ['~', '@'], username: '~martyn', host: 'dollyfish.net.nz'},
+                    'user data from userhost-in-names');
+        t.deepEqual(users.testbot, {username: 'nodebot', host: 'localhost'}, 'existing data is kept');
+        t.notOk('Gone' in users, 'users missing from names are removed');
+
+        client.names('#other', function(nicks) {
+            t.deepEqual(nicks, {Alice: '@'}, 'names for a channel we are not in');
+            t.notOk('#other' in client.chans, 'does not create the channel');
+            client.disconnect();
+        });
+        mock.send(':localhost 353 testbot = #other :@Alice\r\n');
+        mock.send(':localhost 366 testbot #other :End of /NAMES list.\r\n');
+    });
+
+    mock.on('end', function() {
+        mock.close();
+    });
+});
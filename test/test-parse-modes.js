@@ -0,0 +1,75 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('parseModeString gives parameters by mode type', function(t) {
+    var types = {a: 'beIq', b: 'k', c: 'flj', d: 'imnpst', prefix: 'ov'};
+
+    t.deepEqual(irc.parseModeString('+ov-l+f', ['nick1', 'nick2', '[5t]:10'], types), [
+        {adding: true, mode: 'o', param: 'nick1'},
+        {adding: true, mode: 'v', param: 'nick2'},
+        {adding: false, mode: 'l', param: undefined},
+        {adding: true, mode: 'f', param: '[5t]:10'}
+    ], 'type C only takes a parameter when set');
+    t.deepEqual(irc.parseModeString('-k+bi', ['key', '*!*@*'], types), [
+        {adding: false, mode: 'k', param: 'key'},
+        {adding: true, mode: 'b', param: '*!*@*'},
+        {adding: true, mode: 'i', param: undefined}
+    ], 'types A and B always take one');
+    t.deepEqual(irc.parseModeString('+Xo', ['nick'], types), [
+        {adding: true, mode: 'X', param: undefined},
+        {adding: true, mode: 'o', param: 'nick'}
+    ], 'unknown modes take none');
+    t.end();
+});
+
+test('channel modes are parsed according to CHANMODES', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {});
+
+    t.plan(9);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+        mock.send(':localhost 005 testbot CHANMODES=beIq,k,fjl,imnpst PREFIX=(ov)@+ :are supported by this server\r\n');
+        mock.send(':testbot!nodebot@localhost JOIN #test\r\n');
+        mock.send(':Ned!~martyn@localhost JOIN #test\r\n');
+        mock.send(':localhost 324 testbot #test +ntkl secret 20\r\n');
+    });
+
+    client.on('raw', function(message) {
+        if (message.command != 'rpl_channelmodeis')
+            return;
+        var chan = client.chans['#test'];
+        t.equal(chan.mode, 'ntkl', 'modes from rpl_channelmodeis');
+        t.deepEqual(chan.modeParams, {k: 'secret', l: '20'}, 'parameters from rpl_channelmodeis');
+        mock.send(':ChanServ!ChanServ@services. MODE #test +jfov-kl 3:5 [5t]:10 Ned testbot secret\r\n');
+    });
+
+    client.on('+mode', function(channel, by, mode, argument, message, nick) {
+        if (mode == '@') {
+            t.equal(nick, 'Ned', 'nick of a user mode comes after the message');
+            t.deepEqual(client.chans['#test'].users.Ned.modes, ['@'], 'user prefix is set');
+        }
+    });
+
+    client.on('+selfmode', function(channel, by, mode, argument, message, nick) {
+        t.equal(argument, client.chans['#test'].users.testbot, 'argument of a user mode is the user');
+        t.equal(nick, 'testbot', 'nick of our own user mode');
+    });
+
+    client.on('-mode', function(channel, by, mode) {
+        if (mode == 'l') {
+            var chan = client.chans['#test'];
+            t.equal(chan.mode, 'ntjf', 'modes follow MODE changes');
+            t.deepEqual(chan.modeParams, {j: '3:5', f: '[5t]:10'}, 'parameters follow MODE changes');
+            t.equal(client.supported.channel.modes.c, 'fjl', 'CHANMODES is not appended to');
+            client.disconnect();
+        }
+    });
+
+    mock.on('end', function() {
+        mock.close();
+    });
+});
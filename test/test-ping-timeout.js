@@ -0,0 +1,78 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('silent connections are pinged, measured and dropped', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {
+        pingInterval: 100,
+        pingTimeout: 100,
+        retryDelay: 50
+    });
+    var connections = 0;
+    var ends = 0;
+
+    t.plan(5);
+
+    mock.server.on('connection', function(c) {
+        connections++;
+        c.write(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+        if (connections > 1)
+            return;
+        // only the first PING is answered
+        var answered = false;
+        c.on('data', function(data) {
+            var match = /PING (\S+)/.exec(data.toString());
+            if (match && !answered) {
+                answered = true;
+                c.write(':localhost PONG localhost :' + match[1] + '\r\n');
+            }
+        });
+    });
+
+    client.once('lag', function(lag) {
+        t.ok(typeof lag == 'number' && lag >= 0, 'lag is measured from the PONG');
+        t.equal(client.lag, lag, 'lag is kept on the client');
+    });
+
+    client.on('netError', function(err) {
+        t.equal(err.message, 'Ping timeout', 'unanswered PING drops the connection');
+    });
+
+    client.on('registered', function() {
+        if (connections > 1) {
+            t.equal(client.lag, null, 'lag is reset on reconnect');
+            client.disconnect();
+        }
+    });
+
+    mock.on('end', function() {
+        if (++ends < 2)
+            return;
+        t.equal(connections, 2, 'the client reconnects');
+        mock.close();
+    });
+});
+
+test('connections the server never speaks on are dropped', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {
+        pingInterval: 50,
+        pingTimeout: 50,
+        retryCount: 0
+    });
+
+    t.plan(2);
+
+    client.on('netError', function(err) {
+        t.equal(err.message, 'Ping timeout', 'unanswered PING drops the connection');
+    });
+
+    mock.on('end', function() {
+        t.ok(mock.getIncomingMsgs().some(function(msg) {
+            return msg.indexOf('PING ') === 0;
+        }), 'silent server is pinged');
+        mock.close();
+    });
+});
@@ -0,0 +1,70 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('methods return promises', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {autoConnect: false, requestTimeout: 1000});
+
+    t.plan(9);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+    });
+
+    client.connect().then(function(message) {
+        t.equal(message.command, 'rpl_welcome', 'connect resolves when registered');
+        return client.join('#Test');
+    }).then(function(message) {
+        t.equal(message.args[0], '#test', 'join resolves with the JOIN');
+        return client.join('#banned');
+    }).then(null, function(err) {
+        t.equal(err.code, 'err_bannedfromchan', 'join rejects on error numerics');
+        t.equal(err.message, 'Cannot join channel (+b)', 'with the server message');
+        return client.whois('Nobody');
+    }).then(null, function(err) {
+        t.equal(err.code, 'err_nosuchnick', 'whois rejects for unknown nicks');
+        return client.who('#test');
+    }).then(function(users) {
+        t.deepEqual(users.map(function(u) { return u.nick; }), ['testbot'], 'who resolves with users');
+        return client.part('#test');
+    }).then(function(message) {
+        t.equal(message.command, 'PART', 'part resolves with the PART');
+        return client.list();
+    }).then(null, function(err) {
+        t.ok(/timed out/.test(err.message), 'requests time out');
+        return client.disconnect();
+    }).then(function() {
+        t.pass('disconnect resolves');
+        mock.close();
+    });
+
+    mock.server.on('connection', function(socket) {
+        socket.on('data', function(data) {
+            var lines = data.toString().split('\r\n');
+            lines.forEach(function(line) {
+                if (line == 'JOIN #Test') {
+                    mock.send(':testbot!nodebot@localhost JOIN #test\r\n');
+                }
+                else if (line == 'JOIN #banned') {
+                    mock.send(':localhost 474 testbot #banned :Cannot join channel (+b)\r\n');
+                }
+                else if (line == 'WHOIS Nobody') {
+                    mock.send(':localhost 401 testbot Nobody :No such nick/channel\r\n');
+                    mock.send(':localhost 318 testbot Nobody :End of /WHOIS list.\r\n');
+                }
+                else if (line == 'WHO #test') {
+                    mock.send(':localhost 352 testbot #test nodebot localhost irc.test testbot H :0 Bot\r\n');
+                    mock.send(':localhost 315 testbot #test :End of /WHO list.\r\n');
+                }
+                else if (line == 'PART #test') {
+                    mock.send(':testbot!nodebot@localhost PART #test\r\n');
+                }
+            });
+        });
+    });
+
+    // errors are also emitted as before
+    client.on('error', function() {});
+});
@@ -0,0 +1,144 @@
+var irc = require('../lib/irc');
+var sasl = require('../lib/sasl');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('sasl PLAIN', function(t) {
+    var mechanism = new sasl.mechanisms.PLAIN('testbot', 'secret');
+    t.equal(mechanism.respond(new Buffer('')).toString(), 'testbot\0testbot\0secret', 'sends authzid, authcid and password');
+    t.end();
+});
+
+test('sasl EXTERNAL', function(t) {
+    var mechanism = new sasl.mechanisms.EXTERNAL();
+    t.deepEqual(sasl.encode(mechanism.respond(new Buffer(''))), ['+'], 'sends an empty response');
+    t.end();
+});
+
+test('sasl SCRAM-SHA-256', function(t) {
+    // test vector from RFC 7677
+    var mechanism = new sasl.mechanisms['SCRAM-SHA-256']('user', 'pencil');
+    mechanism.nonce = 'rOprNGfwEbeRWgbNEkqO';
+
+    t.equal(mechanism.respond(new Buffer('')).toString(), 'n,,n=user,r=rOprNGfwEbeRWgbNEkqO', 'client-first-message');
+    t.equal(
+        mechanism.respond(new Buffer('r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,' +
+                                     's=W22ZaJ0SNY7soEsUEjb6gQ==,i=4096')).toString(),
+        'c=biws,r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,' +
+        'p=dHzbZapWIk4jUhN+Ute9ytag9zjfMHgsqmmiz7AndVQ=',
+        'client-final-message'
+    );
+    t.equal(mechanism.respond(new Buffer('v=6rriTRBi23WpRR/wtup+mMhUZUn/dB5nLTJRsjl95G4=')).length, 0,
+            'accepts the server signature');
+
+    mechanism = new sasl.mechanisms['SCRAM-SHA-256']('user', 'pencil');
+    mechanism.nonce = 'rOprNGfwEbeRWgbNEkqO';
+    mechanism.respond(new Buffer(''));
+    t.equal(mechanism.respond(new Buffer('r=someoneelse,s=W22ZaJ0SNY7soEsUEjb6gQ==,i=4096')), null,
+            'aborts when the server nonce does not extend ours');
+
+    mechanism = new sasl.mechanisms['SCRAM-SHA-256']('user', 'pencil');
+    mechanism.nonce = 'rOprNGfwEbeRWgbNEkqO';
+    mechanism.respond(new Buffer(''));
+    mechanism.respond(new Buffer('r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,' +
+                                 's=W22ZaJ0SNY7soEsUEjb6gQ==,i=4096'));
+    t.equal(mechanism.respond(new Buffer('v=AAAA')), null, 'aborts on a bad server signature');
+    t.end();
+});
+
+test('sasl AUTHENTICATE chunking', function(t) {
+    var encoded;
+
+    t.deepEqual(sasl.encode(null), ['*'], 'null aborts');
+    t.deepEqual(sasl.encode(new Buffer('')), ['+'], 'empty response is +');
+
+    // 300 bytes encode to exactly 400 base64 characters
+    encoded = sasl.encode(new Buffer(new Array(301).join('a')));
+    t.equal(encoded.length, 2, 'exact multiple of 400 is terminated');
+    t.equal(encoded[0].length, 400, 'first chunk is 400 bytes');
+    t.equal(encoded[1], '+', 'terminated by +');
+
+    encoded = sasl.encode(new Buffer(new Array(400).join('a')));
+    t.equal(encoded.length, 2, 'long response is split');
+    t.equal(encoded[0].length, 400, 'first chunk is 400 bytes');
+    t.equal(encoded[1].length, 132, 'second chunk holds the rest');
+    t.end();
+});
+
+test('sasl mechanism fallback and account tracking', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {
+        sasl: true,
+        saslUser: 'account',
+        saslPassword: 'secret',
+        saslMechanisms: ['EXTERNAL', 'SCRAM-SHA-256', 'PLAIN']
+    });
+    var events = [];
+
+    t.plan(4);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost CAP * LS :multi-prefix sasl=PLAIN,EXTERNAL\r\n');
+        mock.send(':localhost CAP * ACK :sasl\r\n');
+        mock.send('AUTHENTICATE +\r\n');
+        mock.send(':localhost 904 * :SASL authentication failed\r\n');
+        mock.send('AUTHENTICATE +\r\n');
+        mock.send(':localhost 900 testbot testbot!nodebot@localhost account :You are now logged in as account\r\n');
+        mock.send(':localhost 903 testbot :SASL authentication successful\r\n');
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+    });
+
+    client.on('sasl-fail', function(mechanism) {
+        events.push('fail ' + mechanism);
+    });
+    client.on('loggedin', function(account) {
+        events.push('loggedin ' + account);
+    });
+    client.on('sasl-authenticated', function() {
+        events.push('authenticated');
+    });
+
+    client.on('registered', function() {
+        t.equal(client.account, 'account', 'account is recorded');
+        t.deepEqual(events, ['fail EXTERNAL', 'loggedin account', 'authenticated'], 'events in order');
+        client.disconnect();
+    });
+
+    mock.on('end', function() {
+        var msgs = mock.getIncomingMsgs();
+        t.deepEqual(msgs.filter(function(msg) { return msg.indexOf('AUTHENTICATE') === 0; }), [
+            'AUTHENTICATE EXTERNAL',
+            'AUTHENTICATE +',
+            'AUTHENTICATE PLAIN',
+            'AUTHENTICATE ' + new Buffer('account\0account\0secret').toString('base64')
+        ], 'falls back from EXTERNAL to PLAIN, skipping unadvertised SCRAM-SHA-256');
+        t.notEqual(msgs.indexOf('CAP END'), -1, 'ends capability negotiation');
+        mock.close();
+    });
+});
+
+test('sasl required but failing aborts the connection', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {
+        sasl: true,
+        saslRequired: true,
+        password: 'secret'
+    });
+
+    t.plan(2);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost CAP * LS :multi-prefix\r\n');
+    });
+
+    client.on('sasl-authentication-failed', function() {
+        t.pass('failure is reported');
+    });
+
+    mock.on('end', function() {
+        var msgs = mock.getIncomingMsgs();
+        t.equal(msgs.indexOf('CAP END'), -1, 'does not complete registration');
+        mock.close();
+    });
+});
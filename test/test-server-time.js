@@ -0,0 +1,35 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('messages carry server-time when provided', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {debug: true});
+    var before = Date.now();
+
+    t.plan(4);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+        mock.send('@time=2011-10-19T16:40:51.620Z :Ned!~martyn@localhost PRIVMSG #test :From the past\r\n');
+        mock.send('@time=bogus :Ned!~martyn@localhost PRIVMSG #test :Bad time\r\n');
+        mock.send(':Ned!~martyn@localhost PRIVMSG #test :Right now\r\n');
+    });
+
+    client.on('message', function(from, to, text, message) {
+        if (text == 'From the past') {
+            t.equal(message.time.toISOString(), '2011-10-19T16:40:51.620Z', 'time tag is used');
+        } else {
+            t.ok(message.time.getTime() >= before, text + ': falls back to receive time');
+        }
+        if (text == 'Right now') {
+            t.ok(message.time instanceof Date, 'time is a Date');
+            client.disconnect();
+        }
+    });
+
+    mock.on('end', function() {
+        mock.close();
+    });
+});
@@ -0,0 +1,78 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+function byteLength(line) {
+    return Buffer.byteLength(line, 'utf8');
+}
+
+test('long lines are split by bytes without breaking characters', function(t) {
+    var client = new irc.Client('localhost', 'testbot', {autoConnect: false});
+
+    testHelpers.getFixtures('_splitLongLines').forEach(function(item) {
+        t.deepEqual(client._splitLongLines(item.input, item.maxLength, []), item.result, JSON.stringify(item.input));
+    });
+
+    var lines = client._splitLongLines('日本語のテキスト', 10, []);
+    t.deepEqual(lines, ['日本語', 'のテキ', 'スト'], 'three bytes per character');
+    t.deepEqual(client._splitLongLines('cafe\u0301 cafe\u0301', 6, []), ['cafe\u0301', 'cafe\u0301'],
+                'accents stay with their letter');
+    t.deepEqual(client._splitLongLines('\ud83c\uddeb\ud83c\uddf7\ud83c\udde9\ud83c\uddea', 8, []).length, 2, 'flags are not split');
+    t.end();
+});
+
+test('formatting is carried over to continuation lines', function(t) {
+    var client = new irc.Client('localhost', 'testbot', {autoConnect: false});
+
+    t.deepEqual(client._splitLongLines('\u0002\u00034,2bold red text \u000fplain', 12, []),
+                ['\u0002\u00034,2bold', '\u0002\u000304,02red', '\u0002\u000304,02text', 'plain'], 'bold and colours are repeated');
+    t.deepEqual(client._splitLongLines('\u000312abcdefgh\u0003 ijkl', 8, []),
+                ['\u000312abcde', '\u000312fgh\u0003', 'ijkl'], 'colour codes are not cut in half');
+    t.end();
+});
+
+test('messages fit in 512 bytes once sent on with our hostmask', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {});
+    var text = new Array(301).join('é ');
+
+    t.plan(5);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot!guess@example\r\n');
+        mock.send(':testbot!~nodebot@some.very.long.hostname.example.com JOIN #test\r\n');
+    });
+
+    client.on('registered', function() {
+        t.equal(client.hostMask, 'guess@example', 'hostmask guessed from the welcome');
+    });
+
+    client.on('selfjoin', function() {
+        t.equal(client.hostMask, '~nodebot@some.very.long.hostname.example.com', 'hostmask learned from our JOIN');
+        client.say('#test', text);
+        mock.send(':localhost 396 testbot hidden.example :is now your displayed host\r\n');
+        mock.send(':localhost PING :done\r\n');
+    });
+
+    client.on('ping', function() {
+        t.equal(client.hostMask, '~nodebot@hidden.example', 'displayed host changed');
+        client.disconnect();
+    });
+
+    mock.on('end', function() {
+        var sent = mock.getIncomingMsgs().filter(function(line) {
+            return line.indexOf('PRIVMSG') === 0;
+        });
+        var relayed = sent.map(function(line) {
+            return ':testbot!~nodebot@some.very.long.hostname.example.com ' + line + '\r\n';
+        });
+        t.ok(relayed.every(function(line) {
+            return byteLength(line) <= 512;
+        }), 'relayed lines are within 512 bytes');
+        t.equal(sent.map(function(line) {
+            return line.replace(/^PRIVMSG #test :?/, '');
+        }).join(' '), text, 'no text was lost');
+        mock.close();
+    });
+});
@@ -0,0 +1,46 @@
+var irc = require('../lib/irc');
+var test = require('tape');
+
+var testHelpers = require('./helpers');
+
+test('user modes are tracked and set on connect', function(t) {
+    var mock = testHelpers.MockIrcd();
+    var client = new irc.Client('localhost', 'testbot', {userModes: '+i', botMode: true});
+    var changes = [];
+
+    t.plan(6);
+
+    mock.server.on('connection', function() {
+        mock.send(':localhost 001 testbot :Welcome to the Internet Relay Chat Network testbot\r\n');
+        mock.send(':localhost 004 testbot localhost ircd-1.0 BiowxZ biklmnopstv\r\n');
+        mock.send(':localhost 005 testbot BOT=B :are supported by this server\r\n');
+        mock.send(':localhost 422 testbot :MOTD File is missing\r\n');
+        mock.send(':testbot MODE testbot :+iwB\r\n');
+    });
+
+    client.on('usermode', function(added, removed) {
+        changes.push([added, removed]);
+        if (changes.length == 1) {
+            t.equal(client.userModes, 'iwB', 'modes from MODE');
+            t.notOk(client.setUserMode('+q'), 'unsupported modes are not sent');
+            t.ok(client.setUserMode('-w+x'), 'supported modes are sent');
+            mock.send(':testbot MODE testbot :-w+x\r\n');
+        }
+        else if (changes.length == 2) {
+            t.equal(client.userModes, 'iBx', 'modes follow MODE changes');
+            mock.send(':localhost 221 testbot +iZ\r\n');
+        }
+        else {
+            t.deepEqual(changes, [[['i', 'w', 'B'], []], [['x'], ['w']], [['Z'], ['B', 'x']]], 'usermode events');
+            client.disconnect();
+        }
+    });
+
+    mock.on('end', function() {
+        var msgs = mock.getIncomingMsgs().filter(function(msg) {
+            return msg.indexOf('MODE') === 0;
+        });
+        t.deepEqual(msgs, ['MODE testbot +i+B', 'MODE testbot -w+x'], 'configured and bot modes set on connect');
+        mock.close();
+    });
+});